@@ -40,7 +40,8 @@ export default [
             const chunk = bundle[fileName];
             if (chunk.type === 'chunk' && fileName.endsWith('.cjs')) {
               // Add compatibility export at the end
-              chunk.code += '\n\n// CommonJS compatibility\nmodule.exports = withDevToolsJSON;\nmodule.exports.default = withDevToolsJSON;\nmodule.exports.withDevToolsJSON = withDevToolsJSON;\n';
+              // Keep the named exports (including default) on the function
+              chunk.code += '\n\n// CommonJS compatibility\nmodule.exports = Object.assign(withDevToolsJSON, exports);\n';
             }
           }
         }
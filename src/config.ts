@@ -0,0 +1,414 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import type { ConfigError } from "./errors";
+import type { DevToolsJSONOptions, ServingMode } from "./index";
+import type { UUIDStorage, UUIDStrategy } from "./uuid";
+import { resolveEndpoints } from "./endpoints";
+import { isKnownOption, isPlainObject } from "./validate";
+
+const DEFAULT_CONFIG: Readonly<{
+	mode: ServingMode;
+	port: number;
+	maxPortAttempts: number;
+	shutdownTimeoutMs: number;
+	readyTimeoutMs: number;
+	host: string;
+	uuidStrategy: UUIDStrategy;
+	uuidStorage: UUIDStorage;
+}> = {
+	mode: "standalone",
+	port: 3001,
+	maxPortAttempts: 10,
+	shutdownTimeoutMs: 3000,
+	readyTimeoutMs: 5000,
+	host: "localhost",
+	uuidStrategy: "random",
+	uuidStorage: "next-cache",
+};
+
+/** Layers in increasing precedence */
+type ConfigLayer = "default" | "file" | "env" | "options";
+
+interface ConfigSource {
+	readonly layer: ConfigLayer;
+	/** The file or environment variable that supplied the value */
+	readonly name?: string;
+}
+
+interface LayeredOptions {
+	/** Options merged from every layer except the built-in defaults */
+	readonly options: DevToolsJSONOptions;
+	readonly sources: Readonly<
+		Partial<Record<keyof DevToolsJSONOptions, ConfigSource>>
+	>;
+	/** Problems loading the config file layer */
+	readonly errors: ReadonlyArray<ConfigError>;
+}
+
+const ENV_PREFIX = "DEVTOOLS_JSON_";
+
+const PACKAGE_JSON_KEY = "devtoolsJson";
+
+// Checked in order; the first file that exists is the file layer
+const CONFIG_FILES: ReadonlyArray<string> = [
+	"devtools-json.config.js",
+	"devtools-json.config.cjs",
+	"devtools-json.config.mjs",
+	"devtools-json.config.json",
+	"package.json",
+];
+
+const SCRIPT_EXTENSIONS: ReadonlyArray<string> = [".js", ".cjs", ".mjs"];
+
+type EnvParser = (raw: string) => unknown;
+
+const parseString: EnvParser = (raw) => raw;
+
+// Values that do not parse are passed through so validation reports them
+const parseNumber: EnvParser = (raw) =>
+	/^\d+$/.test(raw.trim()) ? Number(raw) : raw;
+
+const parseBoolean: EnvParser = (raw) => {
+	const value = raw.trim().toLowerCase();
+	if (value === "true" || value === "1") {
+		return true;
+	}
+	if (value === "false" || value === "0") {
+		return false;
+	}
+	return raw;
+};
+
+const parseBooleanOrString: EnvParser = (raw) => {
+	const value = parseBoolean(raw);
+	return typeof value === "boolean" ? value : raw;
+};
+
+const parseList: EnvParser = (raw) =>
+	raw
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+
+const parseJson: EnvParser = (raw) => {
+	try {
+		return JSON.parse(raw);
+	} catch {
+		return raw;
+	}
+};
+
+// Typed as a record so adding an option without an env parser fails to
+// compile; functions cannot come from the environment
+const ENV_PARSERS: Readonly<
+	Record<
+		Exclude<
+			keyof DevToolsJSONOptions,
+			"logger" | "onStart" | "onStop" | "onRequest" | "onError"
+		>,
+		EnvParser
+	>
+> = {
+	uuid: parseString,
+	uuidStrategy: parseString,
+	uuidSalt: parseString,
+	uuidStorage: parseString,
+	enabled: parseBoolean,
+	endpoint: parseString,
+	endpoints: parseList,
+	port: parseNumber,
+	maxPortAttempts: parseNumber,
+	shutdownTimeoutMs: parseNumber,
+	readyTimeoutMs: parseNumber,
+	socketPath: parseBooleanOrString,
+	root: parseString,
+	pathMappings: (raw) =>
+		raw === "auto" ? raw : raw === "false" ? false : parseJson(raw),
+	host: parseString,
+	allowedHosts: parseList,
+	allowedOrigins: (raw) => (raw.trim() === "*" ? "*" : parseList(raw)),
+	token: parseBooleanOrString,
+	mode: parseString,
+	strict: parseBoolean,
+};
+
+/**
+ * Maps an option name to its environment variable, e.g. maxPortAttempts to
+ * DEVTOOLS_JSON_MAX_PORT_ATTEMPTS
+ */
+function envVarName(key: keyof typeof ENV_PARSERS): string {
+	return `${ENV_PREFIX}${key.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+}
+
+/**
+ * Reads options from DEVTOOLS_JSON_* environment variables. Lists are comma
+ * separated and pathMappings is JSON.
+ * @param env - Environment to read
+ * @returns The options found and the variable that supplied each one
+ */
+function readEnvLayer(
+	env: NodeJS.ProcessEnv,
+): Array<[keyof DevToolsJSONOptions, unknown, ConfigSource]> {
+	return (Object.keys(ENV_PARSERS) as Array<keyof typeof ENV_PARSERS>)
+		.map((key) => [key, envVarName(key), env[envVarName(key)]] as const)
+		.filter(([, , raw]) => raw !== undefined && raw !== "")
+		.map(([key, name, raw]) => [
+			key,
+			ENV_PARSERS[key](raw as string),
+			{ layer: "env", name },
+		]);
+}
+
+/**
+ * Tells whether a config script is an ES module: .mjs files are, and so are
+ * .js files when the project's package.json sets "type": "module"
+ */
+function isModuleScript(filePath: string, cwd: string): boolean {
+	const extension = path.extname(filePath);
+	if (extension !== ".js") {
+		return extension === ".mjs";
+	}
+	try {
+		const manifest = JSON.parse(
+			fs.readFileSync(path.join(cwd, "package.json"), { encoding: "utf-8" }),
+		);
+		return manifest?.type === "module";
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Suggests a fix for a config script that failed to load
+ * @param name - File name of the config script
+ * @param isModule - Whether the script is an ES module
+ * @param error - The error thrown while loading it
+ */
+function scriptLoadHint(
+	name: string,
+	isModule: boolean,
+	error: unknown,
+): string {
+	const code = (error as NodeJS.ErrnoException).code;
+	if (code === "ERR_REQUIRE_ESM") {
+		return "This Node.js version cannot load ES module config files. Upgrade to Node.js 20.19 or later, or rename the file to devtools-json.config.cjs and use module.exports";
+	}
+	if (code === "ERR_REQUIRE_ASYNC_MODULE") {
+		return `Remove top-level await from ${name}`;
+	}
+	return isModule
+		? "Export the options with export default, or use devtools-json.config.json"
+		: "Export the options with module.exports, or use devtools-json.config.json";
+}
+
+/**
+ * Loads the plugin section of the first config file found in the project.
+ * Config scripts are loaded with require, which also loads ES modules on
+ * Node.js 20.19 and later. Options are resolved synchronously, which rules
+ * out import().
+ * @param cwd - The Next.js project directory
+ * @returns The file's options and name, null if there is no file, or a
+ * ConfigError if the file cannot be loaded
+ */
+function readFileLayer(
+	cwd: string,
+): { options: Record<string, unknown>; name: string } | null | ConfigError {
+	for (const name of CONFIG_FILES) {
+		const filePath = path.join(cwd, name);
+		if (!fs.existsSync(filePath)) {
+			continue;
+		}
+
+		const isScript = SCRIPT_EXTENSIONS.includes(path.extname(name));
+		let loaded: unknown;
+		try {
+			if (isScript) {
+				const requireFromProject = createRequire(filePath);
+				// Drop the cached module so edits apply when next dev restarts
+				delete requireFromProject.cache[filePath];
+				const exported = requireFromProject(filePath);
+				loaded = exported?.default ?? exported;
+			} else {
+				loaded = JSON.parse(fs.readFileSync(filePath, { encoding: "utf-8" }));
+			}
+		} catch (error) {
+			return {
+				_tag: "ConfigError",
+				field: name,
+				message: `Failed to load config file: ${(error as Error).message}`,
+				received: filePath,
+				hint: isScript
+					? scriptLoadHint(name, isModuleScript(filePath, cwd), error)
+					: "Fix the JSON syntax",
+			};
+		}
+
+		if (name === "package.json") {
+			const section = isPlainObject(loaded)
+				? loaded[PACKAGE_JSON_KEY]
+				: undefined;
+			if (section === undefined) {
+				return null;
+			}
+			loaded = section;
+		}
+
+		if (!isPlainObject(loaded)) {
+			return {
+				_tag: "ConfigError",
+				field:
+					name === "package.json" ? `package.json#${PACKAGE_JSON_KEY}` : name,
+				message: "Expected an options object",
+				received: loaded,
+			};
+		}
+		return { options: loaded, name };
+	}
+
+	return null;
+}
+
+/**
+ * Merges plugin options from the config file, DEVTOOLS_JSON_* environment
+ * variables and the explicit options, in increasing precedence. Defaults are
+ * applied later, when the server config is built.
+ * @param options - Options passed to withDevToolsJSON
+ * @param cwd - The Next.js project directory
+ * @param env - Environment to read
+ * @returns The merged options and the source of each value
+ */
+function resolveLayeredOptions(
+	options: DevToolsJSONOptions,
+	cwd: string = process.cwd(),
+	env: NodeJS.ProcessEnv = process.env,
+): LayeredOptions {
+	const merged: Record<string, unknown> = {};
+	const sources: Record<string, ConfigSource> = {};
+	const errors: ConfigError[] = [];
+
+	const apply = (key: string, value: unknown, source: ConfigSource) => {
+		if (value === undefined) {
+			return;
+		}
+		// A single endpoint from a higher layer replaces a lower endpoints list
+		if (key === "endpoint" && sources.endpoints?.layer !== source.layer) {
+			delete merged.endpoints;
+			delete sources.endpoints;
+		}
+		merged[key] = value;
+		sources[key] = source;
+	};
+
+	const file = readFileLayer(cwd);
+	if (file && "_tag" in file) {
+		errors.push(file);
+	} else if (file) {
+		for (const [key, value] of Object.entries(file.options)) {
+			apply(key, value, { layer: "file", name: file.name });
+		}
+	}
+
+	for (const [key, value, source] of readEnvLayer(env)) {
+		apply(key, value, source);
+	}
+
+	for (const [key, value] of Object.entries(options)) {
+		apply(key, value, { layer: "options" });
+	}
+
+	return { options: merged as DevToolsJSONOptions, sources, errors };
+}
+
+/**
+ * Lists the effective value of every option and where it came from
+ * @param layered - Result of resolveLayeredOptions
+ * @returns One entry per option that has a value
+ */
+function describeLayeredOptions(
+	layered: LayeredOptions,
+): Array<{ key: string; value: unknown; source: ConfigSource }> {
+	const defaults: Record<string, unknown> = {
+		...DEFAULT_CONFIG,
+		endpoints: resolveEndpoints(undefined, undefined),
+	};
+	const entries = new Map<string, { value: unknown; source: ConfigSource }>();
+
+	for (const [key, value] of Object.entries(defaults)) {
+		entries.set(key, { value, source: { layer: "default" } });
+	}
+	for (const [key, value] of Object.entries(layered.options)) {
+		const source = layered.sources[key as keyof DevToolsJSONOptions];
+		if (source && isKnownOption(key)) {
+			entries.set(key, { value, source });
+		}
+	}
+
+	// Instrumentation mode lets the OS pick the port unless one is set
+	if (layered.options.mode === "instrumentation" && !layered.sources.port) {
+		entries.set("port", { value: 0, source: { layer: "default" } });
+	}
+
+	// Show the endpoint list the server will actually serve
+	const { endpoint, endpoints } = layered.options;
+	if (endpoint !== undefined || endpoints !== undefined) {
+		entries.set("endpoints", {
+			value: resolveEndpoints(endpoints, endpoint),
+			source: (layered.sources.endpoints ??
+				layered.sources.endpoint) as ConfigSource,
+		});
+		entries.delete("endpoint");
+	}
+
+	return [...entries].map(([key, entry]) => ({ key, ...entry }));
+}
+
+function formatSource(source: ConfigSource): string {
+	return source.name ? `${source.layer} (${source.name})` : source.layer;
+}
+
+function formatOptionValue(value: unknown): string {
+	if (typeof value === "function") {
+		return "[function]";
+	}
+	if (value === undefined) {
+		return "undefined";
+	}
+	return JSON.stringify(value);
+}
+
+/**
+ * Formats the effective options as an aligned table with one line per option
+ * @param layered - Result of resolveLayeredOptions
+ */
+function formatLayeredOptions(layered: LayeredOptions): string {
+	const rows = describeLayeredOptions(layered).map(({ key, value, source }) => [
+		key,
+		// The token is a secret; show only whether one is set
+		key === "token" && typeof value === "string"
+			? '"[redacted]"'
+			: formatOptionValue(value),
+		formatSource(source),
+	]);
+	const widths = [0, 1].map((column) =>
+		Math.max(...rows.map((row) => row[column].length)),
+	);
+
+	return rows
+		.map(
+			([key, value, source]) =>
+				`  ${key.padEnd(widths[0])}  ${value.padEnd(widths[1])}  ${source}`,
+		)
+		.join("\n");
+}
+
+export {
+	DEFAULT_CONFIG,
+	envVarName,
+	resolveLayeredOptions,
+	describeLayeredOptions,
+	formatLayeredOptions,
+	type ConfigLayer,
+	type ConfigSource,
+	type LayeredOptions,
+};
@@ -0,0 +1,92 @@
+const NAMESPACE = "next-plugin-devtools-json";
+
+/**
+ * Receives every debug message, regardless of DEBUG, when set through the
+ * `logger` option
+ * @param namespace - e.g. "next-plugin-devtools-json:server"
+ */
+type DevToolsLogger = (
+	namespace: string,
+	message: string,
+	...args: unknown[]
+) => void;
+
+interface DebugLogger {
+	(message: string, ...args: unknown[]): void;
+	readonly namespace: string;
+}
+
+let customLogger: DevToolsLogger | null = null;
+
+/**
+ * Routes debug output to a custom logger instead of stderr
+ * @param logger - The logger, or undefined to restore DEBUG-based output
+ */
+function setLogger(logger: DevToolsLogger | undefined): void {
+	customLogger = logger ?? null;
+}
+
+/**
+ * Matches a DEBUG entry against a namespace. `*` matches any characters, and
+ * an entry also enables every namespace nested below it, so
+ * "next-plugin-devtools-json" turns on "next-plugin-devtools-json:server".
+ */
+function matchesEntry(entry: string, namespace: string): boolean {
+	const pattern = new RegExp(
+		`^${entry.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}(?::.*)?$`,
+	);
+	return pattern.test(namespace);
+}
+
+/**
+ * Checks whether debug output is enabled for a namespace through the DEBUG
+ * environment variable. Entries are separated by commas or spaces, and
+ * entries starting with "-" exclude namespaces.
+ * @param namespace - The namespace to check
+ * @returns true when DEBUG enables the namespace and does not exclude it
+ */
+function isDebugEnabled(namespace: string = NAMESPACE): boolean {
+	const entries = (process.env.DEBUG ?? "").split(/[\s,]+/).filter(Boolean);
+
+	if (
+		entries.some(
+			(entry) =>
+				entry.startsWith("-") && matchesEntry(entry.slice(1), namespace),
+		)
+	) {
+		return false;
+	}
+	return entries.some(
+		(entry) => !entry.startsWith("-") && matchesEntry(entry, namespace),
+	);
+}
+
+/**
+ * Creates a logger for a namespace below "next-plugin-devtools-json"
+ * @param scope - e.g. "server" for "next-plugin-devtools-json:server"
+ * @returns A function that writes to the custom logger if one is set, or to
+ * stderr when DEBUG enables the namespace
+ */
+function createDebug(scope?: string): DebugLogger {
+	const namespace = scope ? `${NAMESPACE}:${scope}` : NAMESPACE;
+
+	const log = (message: string, ...args: unknown[]): void => {
+		if (customLogger) {
+			customLogger(namespace, message, ...args);
+			return;
+		}
+		if (isDebugEnabled(namespace)) {
+			console.error(`[${namespace}] ${message}`, ...args);
+		}
+	};
+
+	return Object.assign(log, { namespace });
+}
+
+export {
+	createDebug,
+	isDebugEnabled,
+	setLogger,
+	type DebugLogger,
+	type DevToolsLogger,
+};
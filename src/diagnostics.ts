@@ -0,0 +1,169 @@
+import path from "node:path";
+import { createRequire } from "node:module";
+import type { UUIDStorage } from "./uuid";
+import { PLUGIN_VERSION } from "./version";
+
+/** Where the served UUID comes from */
+type UUIDSource = "option" | "deterministic" | UUIDStorage;
+
+interface HealthReport {
+	readonly status: "ok";
+	/** Seconds since the server started listening */
+	readonly uptime: number;
+	readonly pid: number;
+}
+
+interface InfoReport {
+	readonly version: string;
+	/** Next.js version installed in the project, or null if not found */
+	readonly next: string | null;
+	readonly host: string;
+	readonly port: number;
+	readonly socketPath?: string;
+	readonly root: string;
+	readonly uuid: string;
+	readonly uuidSource: UUIDSource;
+	/** Effective configuration, with the token redacted */
+	readonly config: Readonly<Record<string, unknown>>;
+}
+
+/**
+ * Reads the Next.js version installed in the project
+ * @param projectRoot - Directory to resolve next from
+ * @returns The version, or null if next cannot be resolved
+ */
+function readNextVersion(projectRoot: string): string | null {
+	try {
+		const requireFromProject = createRequire(
+			path.join(projectRoot, "package.json"),
+		);
+		const { version } = requireFromProject("next/package.json");
+		return typeof version === "string" ? version : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Builds the <endpoint>/health response
+ * @param startedAt - When the server started listening, in milliseconds
+ */
+function createHealthReport(startedAt: number): HealthReport {
+	return {
+		status: "ok",
+		uptime: Math.round((Date.now() - startedAt) / 1000),
+		pid: process.pid,
+	};
+}
+
+/**
+ * Builds the <endpoint>/info response
+ * @param details - Everything but the versions. The Next.js version is read
+ * from the project's node_modules
+ * @param projectRoot - Directory the Next.js app runs in
+ */
+function createInfoReport(
+	details: Omit<InfoReport, "version" | "next">,
+	projectRoot: string = process.cwd(),
+): InfoReport {
+	return {
+		version: PLUGIN_VERSION,
+		next: readNextVersion(projectRoot),
+		...details,
+	};
+}
+
+function escapeHtml(value: string): string {
+	return value.replace(
+		/[&<>"']/g,
+		(char) =>
+			({
+				"&": "&amp;",
+				"<": "&lt;",
+				">": "&gt;",
+				'"': "&quot;",
+				"'": "&#39;",
+			})[char] as string,
+	);
+}
+
+function renderRows(entries: ReadonlyArray<[string, unknown]>): string {
+	return entries
+		.filter(([, value]) => value !== undefined)
+		.map(
+			([label, value]) =>
+				`<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(
+					typeof value === "string" ? value : JSON.stringify(value),
+				)}</td></tr>`,
+		)
+		.join("\n");
+}
+
+/**
+ * Renders the <endpoint>/ page: the health and info reports for humans
+ * @param endpoint - The endpoint the page is served under
+ * @param health - Result of createHealthReport
+ * @param info - Result of createInfoReport
+ */
+function renderIndexPage(
+	endpoint: string,
+	health: HealthReport,
+	info: InfoReport,
+): string {
+	const link = (href: string) =>
+		`<a href="${escapeHtml(href)}">${escapeHtml(href)}</a>`;
+
+	return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>DevTools JSON</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { text-align: left; padding: 0.25rem 1rem 0.25rem 0; vertical-align: top; }
+td { font-family: ui-monospace, monospace; }
+</style>
+</head>
+<body>
+<h1>DevTools JSON</h1>
+<p>${link(endpoint)} · ${link(`${endpoint}/health`)} · ${link(`${endpoint}/info`)}</p>
+<h2>Health</h2>
+<table>
+${renderRows([
+	["Status", health.status],
+	["Uptime", `${health.uptime}s`],
+	["PID", health.pid],
+])}
+</table>
+<h2>Info</h2>
+<table>
+${renderRows([
+	["Plugin version", info.version],
+	["Next.js version", info.next ?? "unknown"],
+	["Host", info.host],
+	["Port", info.port],
+	["Socket", info.socketPath],
+	["Workspace root", info.root],
+	["UUID", info.uuid],
+	["UUID source", info.uuidSource],
+])}
+</table>
+<h2>Configuration</h2>
+<table>
+${renderRows(Object.entries(info.config))}
+</table>
+</body>
+</html>
+`;
+}
+
+export {
+	createHealthReport,
+	createInfoReport,
+	readNextVersion,
+	renderIndexPage,
+	type HealthReport,
+	type InfoReport,
+	type UUIDSource,
+};
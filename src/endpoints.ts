@@ -0,0 +1,174 @@
+import fs from "node:fs";
+import path from "node:path";
+import { type Result, ok, err } from "./result";
+import type { ConfigError } from "./errors";
+
+const CHROME_DEVTOOLS_PATH =
+	"/.well-known/appspecific/com.chrome.devtools.json";
+
+const DEFAULT_ENDPOINT = "/__devtools_json";
+
+// path-to-regexp syntax in a rewrite source would match more than one path
+const PATTERN_CHARACTERS = /[:*+?(){}[\]#]/;
+
+const PAGE_EXTENSIONS: ReadonlyArray<string> = [
+	".js",
+	".jsx",
+	".ts",
+	".tsx",
+	".mdx",
+];
+
+/**
+ * Resolves the paths the devtools JSON is served on
+ * @param endpoints - The `endpoints` option, used as-is when set
+ * @param endpoint - The older single `endpoint` option, served next to the
+ * Chrome DevTools well-known path
+ * @returns The configured paths, without duplicates
+ */
+function resolveEndpoints(
+	endpoints: ReadonlyArray<string> | undefined,
+	endpoint: string | undefined,
+): ReadonlyArray<string> {
+	if (endpoints) {
+		return endpoints;
+	}
+	return [...new Set([endpoint ?? DEFAULT_ENDPOINT, CHROME_DEVTOOLS_PATH])];
+}
+
+/**
+ * Lists the files in a Next.js project that would serve a given path
+ * @param endpoint - Absolute URL path, e.g. "/__devtools_json"
+ * @param projectRoot - The Next.js project directory
+ * @returns Candidate file paths for app, pages and public routes
+ */
+function routeCandidates(endpoint: string, projectRoot: string): string[] {
+	const segments = endpoint.split("/").filter(Boolean);
+	const candidates = [path.join(projectRoot, "public", ...segments)];
+
+	for (const base of ["", "src"]) {
+		const appDir = path.join(projectRoot, base, "app", ...segments);
+		const pagesPath = path.join(projectRoot, base, "pages", ...segments);
+
+		for (const extension of PAGE_EXTENSIONS) {
+			candidates.push(
+				path.join(appDir, `page${extension}`),
+				path.join(appDir, `route${extension}`),
+				`${pagesPath}${extension}`,
+				path.join(pagesPath, `index${extension}`),
+			);
+		}
+	}
+
+	return candidates;
+}
+
+/**
+ * Finds an app route that an endpoint rewrite would shadow. Only static
+ * routes are detected; dynamic and catch-all routes cannot be decided from
+ * the file system alone.
+ * @param endpoint - Absolute URL path
+ * @param projectRoot - The Next.js project directory
+ * @returns The conflicting file, or null if none exists
+ */
+function findShadowedRoute(
+	endpoint: string,
+	projectRoot: string,
+): string | null {
+	return (
+		routeCandidates(endpoint, projectRoot).find((candidate) =>
+			fs.existsSync(candidate),
+		) ?? null
+	);
+}
+
+/**
+ * Checks the configured endpoints before any rewrites are generated
+ * @param endpoints - Paths to serve the devtools JSON on
+ * @param projectRoot - The Next.js project directory, scanned for routes
+ * @returns The endpoints, or a ConfigError describing the first problem
+ */
+function validateEndpoints(
+	endpoints: ReadonlyArray<string>,
+	projectRoot: string,
+): Result<ReadonlyArray<string>, ConfigError> {
+	if (endpoints.length === 0) {
+		return err({
+			_tag: "ConfigError",
+			field: "endpoints",
+			message: "endpoints must contain at least one path",
+			received: endpoints,
+			hint: `Include "${CHROME_DEVTOOLS_PATH}" so Chrome can find the workspace`,
+		});
+	}
+
+	for (const [index, endpoint] of endpoints.entries()) {
+		const problem = checkEndpoint(
+			endpoint,
+			endpoints.indexOf(endpoint) !== index,
+			projectRoot,
+		);
+		if (problem) {
+			return err({
+				_tag: "ConfigError",
+				field: `endpoints[${index}]`,
+				received: endpoint,
+				...problem,
+			});
+		}
+	}
+
+	return ok(endpoints);
+}
+
+/**
+ * Checks a single endpoint
+ * @returns The problem and a suggested fix, or null if the endpoint is valid
+ */
+function checkEndpoint(
+	endpoint: string,
+	duplicate: boolean,
+	projectRoot: string,
+): { message: string; hint: string } | null {
+	if (!endpoint.startsWith("/") || endpoint === "/") {
+		return {
+			message: 'Endpoint must be an absolute path below "/"',
+			hint: `Use "/${endpoint.replace(/^\/+/, "") || "__devtools_json"}"`,
+		};
+	}
+	if (PATTERN_CHARACTERS.test(endpoint)) {
+		return {
+			message: "Endpoint must be a literal path without route patterns",
+			hint: "Remove parameters, wildcards, query strings and fragments",
+		};
+	}
+	if (endpoint === "/_next" || endpoint.startsWith("/_next/")) {
+		return {
+			message: "Endpoint must not be under /_next, which Next.js reserves",
+			hint: "Choose a path outside /_next",
+		};
+	}
+	if (duplicate) {
+		return {
+			message: "Endpoint is listed more than once",
+			hint: "Remove the duplicate entry",
+		};
+	}
+
+	const shadowed = findShadowedRoute(endpoint, projectRoot);
+	if (shadowed) {
+		return {
+			message: `Endpoint would shadow the app route ${path.relative(projectRoot, shadowed)}`,
+			hint: "Choose a path that no page, route handler or public file uses",
+		};
+	}
+
+	return null;
+}
+
+export {
+	CHROME_DEVTOOLS_PATH,
+	DEFAULT_ENDPOINT,
+	resolveEndpoints,
+	validateEndpoints,
+};
@@ -0,0 +1,52 @@
+type DevToolsError =
+	| PortExhaustedError
+	| UUIDError
+	| ServerError
+	| FileSystemError
+	| ConfigError;
+
+type PortExhaustedError = {
+	readonly _tag: "PortExhaustedError";
+	readonly attempts: number;
+	readonly lastPort: number;
+};
+
+type UUIDError = {
+	readonly _tag: "UUIDError";
+	readonly operation: "read" | "write" | "generate" | "validate";
+	readonly path?: string;
+	readonly cause?: Error;
+};
+
+type ServerError = {
+	readonly _tag: "ServerError";
+	readonly operation: "start" | "stop" | "listen";
+	readonly port?: number;
+	readonly cause: Error;
+};
+
+type FileSystemError = {
+	readonly _tag: "FileSystemError";
+	readonly path: string;
+	readonly operation: "read" | "write" | "mkdir" | "exists";
+	readonly cause: Error;
+};
+
+type ConfigError = {
+	readonly _tag: "ConfigError";
+	/** Option path, e.g. "port" or "endpoints[1]" */
+	readonly field: string;
+	readonly message: string;
+	readonly received?: unknown;
+	/** Suggested fix */
+	readonly hint?: string;
+};
+
+export type {
+	DevToolsError,
+	PortExhaustedError,
+	UUIDError,
+	ServerError,
+	FileSystemError,
+	ConfigError,
+};
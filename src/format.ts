@@ -0,0 +1,223 @@
+import path from "node:path";
+import type {
+	ConfigError,
+	DevToolsError,
+	FileSystemError,
+	ServerError,
+	UUIDError,
+} from "./errors";
+import { formatValue } from "./validate";
+
+interface ErrorExplanation {
+	/** What went wrong, in one sentence */
+	readonly message: string;
+	/** A concrete fix, when one is known */
+	readonly hint?: string;
+}
+
+interface StartupInfo {
+	/** URLs of the endpoints as served by the Next.js app, or their paths */
+	readonly urls: ReadonlyArray<string>;
+	/** Where the standalone server listens: a loopback URL or a socket path */
+	readonly server: string;
+	/** Workspace root reported to Chrome */
+	readonly root: string;
+}
+
+// Matches the "   - Local:  ..." rows Next.js prints when it starts
+const LABEL_WIDTH = 13;
+
+function causeMessage(cause: Error | undefined): string {
+	return cause ? `: ${cause.message}` : "";
+}
+
+function errorCode(cause: Error | undefined): string | undefined {
+	return (cause as NodeJS.ErrnoException | undefined)?.code;
+}
+
+function explainUUIDError(error: UUIDError): ErrorExplanation {
+	const location = error.path ? ` ${error.path}` : "";
+
+	switch (error.operation) {
+		case "read":
+			return {
+				message: `Could not read the workspace UUID from${location || " its file"}${causeMessage(error.cause)}`,
+				hint: "Check read permissions on the file, or delete it so a new UUID is generated",
+			};
+		case "write":
+			return {
+				message: `Could not save the workspace UUID to${location || " its file"}${causeMessage(error.cause)}`,
+				hint: error.path
+					? `Check write permissions on ${path.dirname(error.path)}, or set uuidStorage to another location`
+					: "Check write permissions on .next/cache",
+			};
+		case "generate":
+			return {
+				message: `Could not generate a workspace UUID${causeMessage(error.cause)}`,
+				hint: "Set the uuid option to a fixed UUID",
+			};
+		case "validate":
+			return error.path
+				? {
+						message: `The UUID in${location} is not usable${causeMessage(error.cause)}`,
+						hint: "Delete the file so a new UUID is generated",
+					}
+				: {
+						message: `Invalid uuid option${causeMessage(error.cause)}`,
+						hint: "Set uuid to a v4 or v5 UUID, such as crypto.randomUUID() output, or remove it to generate one",
+					};
+	}
+}
+
+function explainServerError(error: ServerError): ErrorExplanation {
+	const code = errorCode(error.cause);
+	const where = error.port !== undefined ? ` on port ${error.port}` : "";
+
+	switch (error.operation) {
+		case "listen":
+			if (code === "EACCES") {
+				return {
+					message: `Not allowed to listen${where}`,
+					hint: "Set port to a value above 1024, or 0 to let the OS choose",
+				};
+			}
+			if (code === "EADDRNOTAVAIL") {
+				return {
+					message: `The host address is not available${where}`,
+					hint: "Set host to an address of this machine, such as localhost",
+				};
+			}
+			return {
+				message: `Could not listen${where}${causeMessage(error.cause)}`,
+				hint: error.cause.message.includes("socket")
+					? "Stop the process using the socket, or set socketPath to another file"
+					: "Set port to a free port, or 0 to let the OS choose",
+			};
+		case "start":
+			return {
+				message: `The DevTools server did not start${causeMessage(error.cause)}`,
+				hint: error.cause.message.includes("instrumentation")
+					? "Call register() from instrumentation.ts with the same options as next.config"
+					: error.cause.message.includes("ready within")
+						? "Increase readyTimeoutMs, or run with DEBUG=next-plugin-devtools-json:server to see what is slow"
+						: "Run with DEBUG=next-plugin-devtools-json to see the startup steps",
+			};
+		case "stop":
+			return {
+				message: `The DevTools server did not shut down cleanly${causeMessage(error.cause)}`,
+				hint: "Increase shutdownTimeoutMs if open connections need longer to close",
+			};
+	}
+}
+
+function explainFileSystemError(error: FileSystemError): ErrorExplanation {
+	const action = {
+		read: "read",
+		write: "write",
+		mkdir: "create the directory",
+		exists: "check",
+	}[error.operation];
+
+	return {
+		message: `Could not ${action} ${error.path}${causeMessage(error.cause)}`,
+		hint:
+			error.operation === "read" || error.operation === "exists"
+				? `Check read permissions on ${error.path}`
+				: `Check write permissions on ${path.dirname(error.path)}`,
+	};
+}
+
+function explainConfigError(error: ConfigError): ErrorExplanation {
+	const received =
+		"received" in error ? ` (received ${formatValue(error.received)})` : "";
+	return {
+		message: `Invalid ${error.field} option: ${error.message}${received}`,
+		hint: error.hint,
+	};
+}
+
+/**
+ * Describes a DevToolsError in words, with a concrete fix where one is known
+ * @param error - Any error produced by the plugin
+ * @returns The message and remediation hint
+ */
+function explainDevToolsError(error: DevToolsError): ErrorExplanation {
+	switch (error._tag) {
+		case "PortExhaustedError":
+			return {
+				message: `No free port for the DevTools server after ${error.attempts} attempts (ports ${error.lastPort - error.attempts + 1}-${error.lastPort})`,
+				hint: "Set port to a free port, raise maxPortAttempts, or use port: 0 to let the OS choose",
+			};
+		case "UUIDError":
+			return explainUUIDError(error);
+		case "ServerError":
+			return explainServerError(error);
+		case "FileSystemError":
+			return explainFileSystemError(error);
+		case "ConfigError":
+			return explainConfigError(error);
+	}
+}
+
+/**
+ * Formats a DevToolsError for the terminal
+ * @param error - Any error produced by the plugin
+ * @returns The message, followed by an indented "Fix:" line when a fix is known
+ */
+function formatDevToolsError(error: DevToolsError): string {
+	const { message, hint } = explainDevToolsError(error);
+	return hint ? `${message}\n  Fix: ${hint}` : message;
+}
+
+function formatRows(rows: ReadonlyArray<[string, string]>): string {
+	return rows
+		.map(
+			([label, value]) =>
+				`   ${label ? `- ${`${label}:`.padEnd(LABEL_WIDTH)}` : " ".repeat(LABEL_WIDTH + 2)}${value}`,
+		)
+		.join("\n");
+}
+
+/**
+ * Formats the block printed once the server is ready, in the style of the
+ * Next.js startup output
+ */
+function formatStartupBanner(info: StartupInfo): string {
+	const [firstUrl, ...otherUrls] = info.urls;
+	return [
+		" ✓ DevTools JSON ready",
+		formatRows([
+			["Endpoints", firstUrl],
+			...otherUrls.map((url): [string, string] => ["", url]),
+			["Server", info.server],
+			["Workspace", info.root],
+		]),
+	].join("\n");
+}
+
+/**
+ * Formats the block printed when the server fails to start
+ */
+function formatStartupFailure(error: DevToolsError): string {
+	const { message, hint } = explainDevToolsError(error);
+	return [
+		" ⨯ DevTools JSON server failed to start",
+		formatRows(
+			hint
+				? [
+						["Error", message],
+						["Fix", hint],
+					]
+				: [["Error", message]],
+		),
+	].join("\n");
+}
+
+export {
+	explainDevToolsError,
+	formatDevToolsError,
+	formatStartupBanner,
+	formatStartupFailure,
+	type ErrorExplanation,
+	type StartupInfo,
+};
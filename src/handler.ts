@@ -0,0 +1,315 @@
+import type http from "node:http";
+import crypto from "node:crypto";
+import type { DevToolsJSON } from "./index";
+import { type SecurityConfig, TOKEN_HEADER, checkRequest } from "./security";
+import {
+	type HealthReport,
+	type InfoReport,
+	renderIndexPage,
+} from "./diagnostics";
+
+/** The parts of a request the handler reads, shared by Node and fetch requests */
+interface DevToolsRequest {
+	readonly method?: string;
+	/** Path and query, e.g. "/__devtools_json?__devtools_token=..." */
+	readonly url?: string;
+	readonly headers: http.IncomingHttpHeaders;
+}
+
+interface DevToolsResponse {
+	readonly status: number;
+	readonly headers: Readonly<Record<string, string>>;
+	readonly body: string;
+	/** Set when the devtools JSON was served */
+	readonly payload?: DevToolsJSON;
+}
+
+interface EndpointConfig {
+	readonly endpoints: ReadonlyArray<string>;
+	readonly security: SecurityConfig;
+}
+
+/** Builds the reports served under each endpoint by the standalone server */
+interface Diagnostics {
+	health(): HealthReport;
+	info(): InfoReport;
+}
+
+type EndpointRoute = {
+	readonly type: "devtools" | "health" | "info" | "index";
+	/** The configured endpoint the path belongs to */
+	readonly endpoint: string;
+};
+
+const ALLOWED_METHODS = "GET, HEAD, OPTIONS";
+
+// Responses describe the live server, so browsers and proxies must not
+// reuse them; ETags still let clients revalidate cheaply
+const BASE_HEADERS: Readonly<Record<string, string>> = {
+	"Cache-Control": "no-store",
+};
+
+/**
+ * Maps a request path to the endpoint route it requests. The path is
+ * percent-decoded and one trailing slash is ignored. The health, info and
+ * index routes exist only when diagnostics are served; the index page is
+ * what a browser gets for `<endpoint>/`.
+ * @param pathname - Path of a WHATWG URL, still percent-encoded
+ * @param endpoints - Configured endpoints
+ * @param withDiagnostics - Whether the diagnostic routes are served
+ * @param wantsHtml - Whether the client accepts text/html
+ */
+function matchRoute(
+	pathname: string,
+	endpoints: ReadonlyArray<string>,
+	withDiagnostics: boolean,
+	wantsHtml: boolean,
+): EndpointRoute | null {
+	let decoded: string;
+	try {
+		decoded = decodeURIComponent(pathname);
+	} catch {
+		return null;
+	}
+
+	const trailingSlash = decoded.length > 1 && decoded.endsWith("/");
+	const path = trailingSlash ? decoded.slice(0, -1) : decoded;
+
+	for (const endpoint of endpoints) {
+		if (path === endpoint) {
+			return withDiagnostics && trailingSlash && wantsHtml
+				? { type: "index", endpoint }
+				: { type: "devtools", endpoint };
+		}
+		if (withDiagnostics && path === `${endpoint}/health`) {
+			return { type: "health", endpoint };
+		}
+		if (withDiagnostics && path === `${endpoint}/info`) {
+			return { type: "info", endpoint };
+		}
+	}
+	return null;
+}
+
+/**
+ * Derives a strong ETag from a response body
+ */
+function createETag(body: string): string {
+	return `"${crypto.createHash("sha256").update(body).digest("base64url")}"`;
+}
+
+/**
+ * Checks an If-None-Match header against an ETag. Comparison is weak, as
+ * RFC 9110 requires for If-None-Match, so W/ prefixes are ignored.
+ */
+function matchesETag(ifNoneMatch: string | undefined, etag: string): boolean {
+	if (!ifNoneMatch) {
+		return false;
+	}
+	return ifNoneMatch
+		.split(",")
+		.map((tag) => tag.trim().replace(/^W\//, ""))
+		.some((tag) => tag === "*" || tag === etag);
+}
+
+/**
+ * Renders the body of a route
+ */
+function renderRoute(
+	route: EndpointRoute,
+	payload: DevToolsJSON,
+	diagnostics: Diagnostics | undefined,
+): { contentType: string; body: string } {
+	const json = (value: unknown) => ({
+		contentType: "application/json",
+		body: JSON.stringify(value, null, 2),
+	});
+
+	if (route.type === "devtools") {
+		return json(payload);
+	}
+
+	// matchRoute only returns the other routes when diagnostics are given
+	const reports = diagnostics as Diagnostics;
+	switch (route.type) {
+		case "health":
+			return json(reports.health());
+		case "info":
+			return json(reports.info());
+		case "index":
+			return {
+				contentType: "text/html; charset=utf-8",
+				body: renderIndexPage(route.endpoint, reports.health(), reports.info()),
+			};
+	}
+}
+
+/**
+ * Answers a request for one of the devtools endpoints. GET and HEAD are
+ * served with a strong ETag and honor If-None-Match, OPTIONS answers CORS
+ * preflight, and other methods get 405.
+ * @param req - The incoming request
+ * @param config - Endpoints to serve and the security settings to enforce
+ * @param payload - The devtools JSON to serve
+ * @param diagnostics - Serves `<endpoint>/health`, `<endpoint>/info` and the
+ * `<endpoint>/` index page when given
+ * @returns The response, or null when the path is not a devtools endpoint
+ */
+function respondToDevToolsRequest(
+	req: DevToolsRequest,
+	config: EndpointConfig,
+	payload: DevToolsJSON,
+	diagnostics?: Diagnostics,
+): DevToolsResponse | null {
+	if (!req.url) {
+		return null;
+	}
+
+	const requestUrl = new URL(req.url, "http://localhost");
+	const route = matchRoute(
+		requestUrl.pathname,
+		config.endpoints,
+		diagnostics !== undefined,
+		req.headers.accept?.includes("text/html") ?? false,
+	);
+	if (!route) {
+		return null;
+	}
+
+	// Browsers never send credentials with a preflight, so only the Host and
+	// Origin are checked for OPTIONS
+	const preflight = req.method === "OPTIONS";
+	const security = checkRequest(
+		req,
+		requestUrl,
+		preflight ? { ...config.security, token: undefined } : config.security,
+	);
+	if (!security.allowed) {
+		return {
+			status: security.status,
+			headers: BASE_HEADERS,
+			body: security.reason,
+		};
+	}
+
+	const corsHeaders: Record<string, string> = security.corsOrigin
+		? { "Access-Control-Allow-Origin": security.corsOrigin, Vary: "Origin" }
+		: {};
+
+	if (preflight) {
+		return {
+			status: 204,
+			headers: {
+				...BASE_HEADERS,
+				Allow: ALLOWED_METHODS,
+				...corsHeaders,
+				...(security.corsOrigin && {
+					"Access-Control-Allow-Methods": ALLOWED_METHODS,
+					"Access-Control-Allow-Headers": TOKEN_HEADER,
+					"Access-Control-Max-Age": "600",
+				}),
+			},
+			body: "",
+		};
+	}
+
+	if (req.method !== "GET" && req.method !== "HEAD") {
+		return {
+			status: 405,
+			headers: { ...BASE_HEADERS, Allow: ALLOWED_METHODS },
+			body: "Method Not Allowed",
+		};
+	}
+
+	const { contentType, body } = renderRoute(route, payload, diagnostics);
+	const etag = createETag(body);
+	const served = route.type === "devtools" ? { payload } : {};
+
+	const ifNoneMatch = req.headers["if-none-match"];
+	if (matchesETag(ifNoneMatch, etag)) {
+		return {
+			status: 304,
+			headers: { ...BASE_HEADERS, ETag: etag, ...corsHeaders },
+			body: "",
+			...served,
+		};
+	}
+
+	return {
+		status: 200,
+		headers: {
+			...BASE_HEADERS,
+			"Content-Type": contentType,
+			"Content-Length": String(Buffer.byteLength(body)),
+			ETag: etag,
+			...corsHeaders,
+		},
+		// HEAD keeps the headers of GET, including Content-Length
+		body: req.method === "HEAD" ? "" : body,
+		...served,
+	};
+}
+
+/**
+ * Writes a response to a Node.js ServerResponse
+ */
+function writeResponse(
+	res: http.ServerResponse,
+	response: DevToolsResponse,
+): void {
+	for (const [name, value] of Object.entries(response.headers)) {
+		res.setHeader(name, value);
+	}
+	res.statusCode = response.status;
+	res.end(response.body);
+}
+
+/**
+ * Converts a response to a WHATWG Response
+ */
+function toFetchResponse(response: DevToolsResponse): Response {
+	// 204 and 304 responses must not have a body, not even an empty one
+	return new Response(response.body === "" ? null : response.body, {
+		status: response.status,
+		headers: response.headers,
+	});
+}
+
+/**
+ * Reads the parts of a WHATWG Request the handler needs. The Host header
+ * falls back to the URL's host, since fetch requests may omit it.
+ */
+function fromFetchRequest(request: Request): DevToolsRequest {
+	const requestUrl = new URL(request.url);
+	const headers: http.IncomingHttpHeaders = {};
+	request.headers.forEach((value, name) => {
+		headers[name] = value;
+	});
+
+	return {
+		method: request.method,
+		url: `${requestUrl.pathname}${requestUrl.search}`,
+		headers: { ...headers, host: headers.host ?? requestUrl.host },
+	};
+}
+
+/**
+ * Describes a handled request for the request log, without its query, which
+ * may carry the shared token
+ */
+function describeRequest(req: DevToolsRequest, status: number): string {
+	const requestPath = req.url?.split("?")[0] ?? "";
+	return `${req.method} ${requestPath} ${status} (${req.headers["user-agent"] ?? "no user agent"})`;
+}
+
+export {
+	respondToDevToolsRequest,
+	writeResponse,
+	toFetchResponse,
+	fromFetchRequest,
+	describeRequest,
+	type Diagnostics,
+	type DevToolsRequest,
+	type DevToolsResponse,
+	type EndpointConfig,
+};
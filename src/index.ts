@@ -1,11 +1,82 @@
 import http from "node:http";
-import url from "node:url";
 import path from "node:path";
 import fs from "node:fs";
 import crypto from "node:crypto";
 import { EventEmitter } from "node:events";
 import type { NextConfig } from "next";
 import { type Result, ok, err, tryCatch } from "./result";
+import { type DevToolsLogger, createDebug, setLogger } from "./debug";
+import { type UUIDStorage, type UUIDStrategy, UUIDManager } from "./uuid";
+import { type RegistryEntry, ServerRegistry } from "./registry";
+import { createSocketBridge, listenOnSocket } from "./socket";
+import {
+	CHROME_DEVTOOLS_PATH,
+	resolveEndpoints,
+	validateEndpoints,
+} from "./endpoints";
+import {
+	type PathMappingOption,
+	type PathMappings,
+	mapWorkspacePath,
+} from "./paths";
+import {
+	type SecurityConfig,
+	TOKEN_HEADER,
+	TOKEN_QUERY_PARAM,
+	connectHost,
+	defaultAllowedHosts,
+	defaultAllowedOrigins,
+	getOrCreateSharedToken,
+	nextAppOrigin,
+} from "./security";
+import type {
+	ConfigError,
+	DevToolsError,
+	FileSystemError,
+	ServerError,
+	UUIDError,
+} from "./errors";
+import {
+	type UUIDSource,
+	createHealthReport,
+	createInfoReport,
+	readNextVersion,
+} from "./diagnostics";
+import {
+	type Diagnostics,
+	type DevToolsRequest,
+	describeRequest,
+	fromFetchRequest,
+	respondToDevToolsRequest,
+	toFetchResponse,
+	writeResponse,
+} from "./handler";
+import {
+	type ErrorExplanation,
+	explainDevToolsError,
+	formatDevToolsError,
+	formatStartupBanner,
+	formatStartupFailure,
+} from "./format";
+import {
+	DEFAULT_CONFIG,
+	type ConfigLayer,
+	type ConfigSource,
+	type LayeredOptions,
+	formatLayeredOptions,
+	resolveLayeredOptions,
+} from "./config";
+import {
+	formatConfigError,
+	isKnownOption,
+	omitInvalidOptions,
+	validateOptions,
+} from "./validate";
+import {
+	type RootOption,
+	type RootResolver,
+	resolveWorkspaceRoot,
+} from "./root";
 
 interface DevToolsJSON {
 	workspace: {
@@ -16,173 +87,201 @@ interface DevToolsJSON {
 
 interface DevToolsJSONOptions {
 	readonly uuid?: string;
-	readonly enabled?: boolean;
+	readonly uuidStrategy?: UUIDStrategy;
+	readonly uuidSalt?: string;
+	readonly uuidStorage?: UUIDStorage;
+	readonly enabled?: boolean | EnabledPredicate;
+	/** Served next to the well-known path; ignored when `endpoints` is set */
 	readonly endpoint?: string;
+	/** Every path the devtools JSON is served on */
+	readonly endpoints?: ReadonlyArray<string>;
 	readonly port?: number;
 	readonly maxPortAttempts?: number;
 	readonly shutdownTimeoutMs?: number;
+	readonly readyTimeoutMs?: number;
+	readonly socketPath?: string | boolean;
+	readonly root?: RootOption;
+	readonly pathMappings?: PathMappingOption;
+	readonly host?: string;
+	readonly allowedHosts?: ReadonlyArray<string>;
+	readonly allowedOrigins?: ReadonlyArray<string> | "*";
+	readonly token?: string | boolean;
+	/**
+	 * Where the devtools server runs: started by next.config ("standalone"),
+	 * or by register() in instrumentation.ts ("instrumentation")
+	 */
+	readonly mode?: ServingMode;
+	/** Throw on invalid options instead of warning and using defaults */
+	readonly strict?: boolean;
+	/** Receives all debug output instead of DEBUG-filtered stderr */
+	readonly logger?: DevToolsLogger;
+	/** Called once the server in this process is listening */
+	readonly onStart?: (info: DevToolsServerInfo) => void;
+	/** Called once the server in this process has shut down */
+	readonly onStop?: () => void;
+	/**
+	 * Called each time the devtools JSON is served. `req` is the Node.js
+	 * request, except from createDevToolsHandler's fetch adapter, which passes
+	 * the method, path and headers of the WHATWG Request.
+	 */
+	readonly onRequest?: (req: DevToolsRequest, payload: DevToolsJSON) => void;
+	/** Called when the server fails to start or fails while running */
+	readonly onError?: (error: DevToolsError) => void;
 }
 
-interface ServerConfig {
-	readonly endpoint: string;
-	readonly initialPort: number;
-	readonly maxPortAttempts: number;
-	readonly shutdownTimeoutMs: number;
-	readonly uuid?: string;
+type DevToolsHooks = Pick<
+	DevToolsJSONOptions,
+	"onStart" | "onStop" | "onRequest" | "onError"
+>;
+
+interface DevToolsServerInfo {
+	/** Loopback port the rewrites proxy to */
+	readonly port: number;
+	readonly uuid: string;
+	/** Workspace root reported to Chrome */
+	readonly root: string;
+	/**
+	 * Endpoint URLs as served by the Next.js app, or only their paths when
+	 * the process that started the server did not know the app's origin
+	 */
+	readonly urls: ReadonlyArray<string>;
+	readonly socketPath?: string;
 }
 
-type ServerState =
-	| { readonly type: "idle" }
-	| { readonly type: "starting"; readonly port: number }
-	| {
-			readonly type: "running";
-			readonly server: http.Server;
-			readonly port: number;
-	  }
-	| { readonly type: "stopping" }
-	| { readonly type: "stopped" };
+interface DevToolsServerHandle extends DevToolsServerInfo {
+	/** Direct URL of the devtools JSON on the standalone server */
+	readonly url: string;
+	/** Stops the server, if this process started it */
+	stop(): Promise<Result<void, ServerError>>;
+}
 
-type DevToolsError =
-	| PortExhaustedError
-	| UUIDError
-	| ServerError
-	| FileSystemError
-	| ConfigError;
-
-type PortExhaustedError = {
-	readonly _tag: "PortExhaustedError";
-	readonly attempts: number;
-	readonly lastPort: number;
-};
+/** Returned by createDevToolsHandler */
+interface DevToolsHandler {
+	(
+		req: http.IncomingMessage,
+		res: http.ServerResponse,
+		next?: () => void,
+	): boolean;
+	/** Express-style middleware for app.use() */
+	readonly middleware: (
+		req: http.IncomingMessage,
+		res: http.ServerResponse,
+		next: () => void,
+	) => void;
+	/** Answers a WHATWG Request, or returns null for other paths */
+	readonly fetch: (request: Request) => Response | null;
+}
 
-type UUIDError = {
-	readonly _tag: "UUIDError";
-	readonly operation: "read" | "write" | "generate" | "validate";
-	readonly path?: string;
-	readonly cause?: Error;
+/** Events emitted by the devtools server, with their listener arguments */
+type DevToolsServerEvents = {
+	started: [info: DevToolsServerInfo];
+	stopped: [];
+	request: [req: http.IncomingMessage, payload: DevToolsJSON];
+	error: [error: DevToolsError];
 };
 
-type ServerError = {
-	readonly _tag: "ServerError";
-	readonly operation: "start" | "stop" | "listen";
-	readonly port?: number;
-	readonly cause: Error;
-};
+type ServingMode = "standalone" | "instrumentation";
 
-type FileSystemError = {
-	readonly _tag: "FileSystemError";
-	readonly path: string;
-	readonly operation: "read" | "write" | "mkdir" | "exists";
-	readonly cause: Error;
-};
+interface EnabledContext {
+	/** Next.js phase, known only when next.config is in function form */
+	readonly phase?: string;
+	readonly env: NodeJS.ProcessEnv;
+}
 
-type ConfigError = {
-	readonly _tag: "ConfigError";
-	readonly message: string;
-};
+type EnabledPredicate = (context: EnabledContext) => boolean;
 
-const DEFAULT_CONFIG: Readonly<{
-	endpoint: string;
-	port: number;
-	maxPortAttempts: number;
-	shutdownTimeoutMs: number;
-}> = {
-	endpoint: "/__devtools_json",
-	port: 3001,
-	maxPortAttempts: 10,
-	shutdownTimeoutMs: 3000,
-};
+type NextConfigContext = { defaultConfig: NextConfig };
 
-const CHROME_DEVTOOLS_PATH =
-	"/.well-known/appspecific/com.chrome.devtools.json";
+type NextConfigFunction = (
+	phase: string,
+	context: NextConfigContext,
+) => NextConfig;
 
-class UUIDManager {
-	constructor(
-		private readonly fs: typeof import("node:fs"),
-		private readonly path: typeof import("node:path"),
-		private readonly crypto: typeof import("node:crypto"),
-	) {}
+type AsyncNextConfigFunction = (
+	phase: string,
+	context: NextConfigContext,
+) => Promise<NextConfig>;
 
+/**
+ * Returned when withDevToolsJSON gets no Next.js config: a Next.js config
+ * function, which Next.js calls with the phase, that also takes a Next.js
+ * config as in the deprecated 2.x `withDevToolsJSON(options)(nextConfig)`
+ * style. Without options it also carries the properties of the extended
+ * empty config, such as `rewrites`.
+ */
+type LegacyConfigWrapper = ((nextConfig?: NextConfig) => NextConfig) &
+	NextConfigFunction &
+	NextConfig;
+
+interface ServerConfig {
+	readonly mode: ServingMode;
+	readonly endpoints: ReadonlyArray<string>;
+	readonly initialPort: number;
+	readonly maxPortAttempts: number;
+	readonly shutdownTimeoutMs: number;
+	readonly readyTimeoutMs: number;
+	readonly socketPath?: string;
+	readonly uuid?: string;
+	readonly uuidStrategy: UUIDStrategy;
+	readonly uuidSalt?: string;
+	readonly uuidStorage: UUIDStorage;
+	readonly root?: RootOption;
+	readonly pathMappings?: PathMappingOption;
+	readonly host: string;
+	readonly security: SecurityConfig;
+	readonly hooks: DevToolsHooks;
 	/**
-	 * Gets an existing UUID or creates a new one for the project
-	 * @param projectRoot - The root directory of the project
-	 * @param providedUuid - Optional UUID to use instead of generating/reading one
-	 * @returns Result containing the UUID string or a UUIDError
+	 * Port next.config reserved for the rewrites in instrumentation mode. The
+	 * server, or its socket bridge, binds exactly this port.
 	 */
-	getOrCreate(
-		projectRoot: string,
-		providedUuid?: string,
-	): Result<string, UUIDError> {
-		if (providedUuid) {
-			return this.validate(providedUuid);
-		}
+	readonly reservedPort?: number;
+}
 
-		const cacheDir = this.path.resolve(projectRoot, ".next", "cache");
-		const uuidPath = this.path.resolve(cacheDir, "devtools-uuid.json");
+interface ResolvedWorkspace {
+	/** Root reported to Chrome, after path mappings */
+	readonly root: string;
+	readonly uuid: string;
+	readonly uuidSource: UUIDSource;
+}
 
-		const existingUuid = this.read(uuidPath);
-		if (existingUuid.isOk()) {
-			return existingUuid;
-		}
+interface StartedServer {
+	readonly server: http.Server;
+	/** Loopback port the rewrites proxy to */
+	readonly port: number;
+	/** Set in socket mode: forwards the loopback port to the socket server */
+	readonly bridge?: http.Server;
+	readonly socketPath?: string;
+}
 
-		return this.createAndPersist(cacheDir, uuidPath);
-	}
+type ServerState =
+	| { readonly type: "idle" }
+	| { readonly type: "starting"; readonly port: number }
+	| ({
+			readonly type: "running";
+			readonly info: DevToolsServerInfo;
+			/** When the server started listening, in milliseconds */
+			readonly startedAt: number;
+	  } & StartedServer)
+	| { readonly type: "stopping" }
+	| { readonly type: "stopped" };
 
-	private validate(uuid: string): Result<string, UUIDError> {
-		const uuidRegex =
-			/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-		if (uuidRegex.test(uuid)) {
-			return ok(uuid);
-		}
-		return err({
-			_tag: "UUIDError",
-			operation: "validate",
-			cause: new Error(`Invalid UUID format: ${uuid}`),
-		});
-	}
+// Mirrors PHASE_DEVELOPMENT_SERVER from next/constants
+const PHASE_DEVELOPMENT_SERVER = "phase-development-server";
 
-	private read(uuidPath: string): Result<string, UUIDError> {
-		return tryCatch(
-			() => {
-				if (!this.fs.existsSync(uuidPath)) {
-					throw new Error("UUID file does not exist");
-				}
-				const content = this.fs.readFileSync(uuidPath, { encoding: "utf-8" });
-				return content.trim();
-			},
-			(error) => ({
-				_tag: "UUIDError" as const,
-				operation: "read" as const,
-				path: uuidPath,
-				cause: error as Error,
-			}),
-		).andThen((uuid) => this.validate(uuid));
-	}
+const DEFAULT_SOCKET_NAME = "devtools-json.sock";
 
-	private createAndPersist(
-		cacheDir: string,
-		uuidPath: string,
-	): Result<string, UUIDError> {
-		return tryCatch(
-			() => {
-				if (!this.fs.existsSync(cacheDir)) {
-					this.fs.mkdirSync(cacheDir, { recursive: true });
-				}
-				const uuid = this.crypto.randomUUID();
-				this.fs.writeFileSync(uuidPath, uuid, { encoding: "utf-8" });
-				return uuid;
-			},
-			(error) => ({
-				_tag: "UUIDError" as const,
-				operation: "write" as const,
-				path: uuidPath,
-				cause: error as Error,
-			}),
-		);
-	}
-}
+// How long a registered server may take to answer before it counts as gone
+const PROBE_TIMEOUT_MS = 1000;
+
+const debug = {
+	server: createDebug("server"),
+	request: createDebug("request"),
+	registry: createDebug("registry"),
+	rewrites: createDebug("rewrites"),
+	config: createDebug("config"),
+};
 
-class DevToolsServer extends EventEmitter {
+class DevToolsServer extends EventEmitter<DevToolsServerEvents> {
 	private state: ServerState = { type: "idle" };
 
 	constructor(
@@ -196,9 +295,7 @@ class DevToolsServer extends EventEmitter {
 	 * Starts the DevTools server on an available port
 	 * @returns Promise resolving to Result with server instance and port number, or DevToolsError
 	 */
-	async start(): Promise<
-		Result<{ server: http.Server; port: number }, DevToolsError>
-	> {
+	async start(): Promise<Result<StartedServer, DevToolsError>> {
 		if (this.state.type !== "idle") {
 			return err({
 				_tag: "ServerError",
@@ -207,27 +304,55 @@ class DevToolsServer extends EventEmitter {
 			});
 		}
 
-		const projectRoot = process.cwd();
-		const uuidResult = this.uuidManager.getOrCreate(
-			projectRoot,
-			this.config.uuid,
-		);
+		return (await this.serveWorkspace()).tapErr((error) => {
+			this.emitError(error);
+		});
+	}
 
-		if (uuidResult.isErr()) {
-			return err(uuidResult.unwrapErr());
+	private async serveWorkspace(): Promise<
+		Result<StartedServer, DevToolsError>
+	> {
+		const workspaceResult = resolveWorkspace(this.config, this.uuidManager);
+		if (workspaceResult.isErr()) {
+			return err(workspaceResult.unwrapErr());
 		}
 
-		const uuid = uuidResult.unwrap();
-		const serverResult = await this.tryStartServer(uuid, projectRoot);
+		const workspace = workspaceResult.unwrap();
+		const { uuid, root } = workspace;
+		const serverResult = this.config.socketPath
+			? await this.startSocketServer(this.config.socketPath, workspace)
+			: await this.tryStartServer(workspace);
 
 		if (serverResult.isOk()) {
-			const { server, port } = serverResult.unwrap();
+			const started = serverResult.unwrap();
+			debug.server(
+				started.socketPath
+					? `Listening on ${started.socketPath}, bridged from port ${started.port}`
+					: `Listening on ${this.config.host}:${started.port}`,
+			);
+			const info: DevToolsServerInfo = {
+				port: started.port,
+				uuid,
+				root,
+				urls: endpointUrls(this.config.endpoints),
+				socketPath: started.socketPath,
+			};
+			console.log(
+				formatStartupBanner({
+					urls: info.urls,
+					server:
+						started.socketPath ??
+						`http://${connectHost(this.config.host)}:${started.port}`,
+					root: info.root,
+				}),
+			);
 			this.state = {
 				type: "running",
-				server,
-				port,
+				...started,
+				info,
+				startedAt: Date.now(),
 			};
-			this.emit("started", port);
+			this.emit("started", info);
 		}
 
 		return serverResult;
@@ -242,15 +367,21 @@ class DevToolsServer extends EventEmitter {
 			return ok(undefined);
 		}
 
-		const { server } = this.state;
+		const { server, bridge, port } = this.state;
 		this.state = { type: "stopping" };
+		debug.server(`Stopping server on port ${port}`);
 
 		try {
-			await this.gracefulShutdown(server);
+			await Promise.all([
+				this.gracefulShutdown(server),
+				bridge && this.gracefulShutdown(bridge),
+			]);
 			this.state = { type: "stopped" };
+			debug.server("Server stopped");
 			this.emit("stopped");
 			return ok(undefined);
 		} catch (error) {
+			debug.server("Server shutdown failed:", error);
 			this.state = { type: "stopped" };
 			return err({
 				_tag: "ServerError",
@@ -264,19 +395,41 @@ class DevToolsServer extends EventEmitter {
 		return this.state.type === "running" ? this.state.port : undefined;
 	}
 
+	getInfo(): DevToolsServerInfo | undefined {
+		return this.state.type === "running" ? this.state.info : undefined;
+	}
+
+	/**
+	 * Emits an error event. Unlike a bare emit("error"), this does not throw
+	 * when nobody is listening.
+	 */
+	private emitError(error: DevToolsError): void {
+		if (this.listenerCount("error") > 0) {
+			this.emit("error", error);
+		}
+	}
+
 	private async tryStartServer(
-		uuid: string,
-		projectRoot: string,
-	): Promise<Result<{ server: http.Server; port: number }, DevToolsError>> {
+		workspace: ResolvedWorkspace,
+	): Promise<Result<StartedServer, DevToolsError>> {
+		// The rewrites already point at the reserved port, so no other will do
+		if (this.config.reservedPort !== undefined) {
+			debug.server(`Binding reserved port ${this.config.reservedPort}`);
+			return this.startServerOnPort(this.config.reservedPort, workspace);
+		}
+
+		// Port 0 lets the OS pick a free port, so there is nothing to probe
+		if (this.config.initialPort === 0) {
+			debug.server("Letting the OS assign a port");
+			return this.startServerOnPort(0, workspace);
+		}
+
 		let currentPort = this.config.initialPort;
 		let attempts = 0;
 
 		while (attempts < this.config.maxPortAttempts) {
-			const result = await this.startServerOnPort(
-				currentPort,
-				uuid,
-				projectRoot,
-			);
+			debug.server(`Trying port ${currentPort} on ${this.config.host}`);
+			const result = await this.startServerOnPort(currentPort, workspace);
 
 			if (result.isOk()) {
 				return result;
@@ -287,14 +440,19 @@ class DevToolsServer extends EventEmitter {
 				error._tag === "ServerError" &&
 				error.cause.message.includes("EADDRINUSE")
 			) {
+				debug.server(`Port ${currentPort} is in use`);
 				attempts++;
 				currentPort++;
 				continue;
 			}
 
+			debug.server(`Failed to listen on port ${currentPort}:`, error.cause);
 			return result;
 		}
 
+		debug.server(
+			`Gave up after ${this.config.maxPortAttempts} ports, last tried ${currentPort - 1}`,
+		);
 		return err({
 			_tag: "PortExhaustedError",
 			attempts: this.config.maxPortAttempts,
@@ -302,16 +460,70 @@ class DevToolsServer extends EventEmitter {
 		});
 	}
 
-	private startServerOnPort(
+	private async startServerOnPort(
 		port: number,
-		uuid: string,
-		projectRoot: string,
-	): Promise<Result<{ server: http.Server; port: number }, ServerError>> {
-		return new Promise((resolve) => {
-			const server = http.createServer((req, res) => {
-				this.handleRequest(req, res, uuid, projectRoot);
+		workspace: ResolvedWorkspace,
+	): Promise<Result<StartedServer, ServerError>> {
+		const server = http.createServer((req, res) => {
+			this.handleRequest(req, res, workspace);
+		});
+		const result = await this.listenOnPort(server, port, this.config.host);
+
+		// Failures before binding are reported through the start result
+		return result.tap(({ port: boundPort }) => {
+			server.on("error", (cause) => {
+				this.emitError({
+					_tag: "ServerError",
+					operation: "listen",
+					port: boundPort,
+					cause,
+				});
 			});
+		});
+	}
+
+	/**
+	 * Serves the endpoint on a Unix socket and exposes it to the rewrites
+	 * through a bridge on an OS-assigned or reserved loopback port
+	 */
+	private async startSocketServer(
+		socketPath: string,
+		workspace: ResolvedWorkspace,
+	): Promise<Result<StartedServer, ServerError>> {
+		const server = http.createServer((req, res) => {
+			this.handleRequest(req, res, workspace);
+		});
+
+		const socketResult = await listenOnSocket(server, socketPath);
+		if (socketResult.isErr()) {
+			return err(socketResult.unwrapErr());
+		}
+
+		const bridgeResult = await this.listenOnPort(
+			createSocketBridge(socketPath),
+			this.config.reservedPort ?? 0,
+			"localhost",
+		);
+		if (bridgeResult.isErr()) {
+			server.close();
+			return bridgeResult;
+		}
 
+		const bridge = bridgeResult.unwrap();
+		return ok({
+			server,
+			port: bridge.port,
+			bridge: bridge.server,
+			socketPath,
+		});
+	}
+
+	private listenOnPort(
+		server: http.Server,
+		port: number,
+		host: string,
+	): Promise<Result<StartedServer, ServerError>> {
+		return new Promise((resolve) => {
 			server.on("error", (error: NodeJS.ErrnoException) => {
 				resolve(
 					err({
@@ -323,8 +535,12 @@ class DevToolsServer extends EventEmitter {
 				);
 			});
 
-			server.listen(port, "localhost", () => {
-				resolve(ok({ server, port }));
+			server.listen(port, host, () => {
+				// Read the bound port back so port 0 reports the OS-assigned one
+				const address = server.address();
+				const boundPort =
+					address && typeof address === "object" ? address.port : port;
+				resolve(ok({ server, port: boundPort }));
 			});
 		});
 	}
@@ -332,35 +548,49 @@ class DevToolsServer extends EventEmitter {
 	private handleRequest(
 		req: http.IncomingMessage,
 		res: http.ServerResponse,
-		uuid: string,
-		projectRoot: string,
+		workspace: ResolvedWorkspace,
 	): void {
-		if (!req.url) {
-			res.statusCode = 404;
-			res.end("Not Found");
-			return;
-		}
+		res.on("finish", () => {
+			debug.request(describeRequest(req, res.statusCode));
+		});
 
-		const parsedUrl = url.parse(req.url, true);
+		const response = respondToDevToolsRequest(
+			req,
+			this.config,
+			{ workspace: { root: workspace.root, uuid: workspace.uuid } },
+			this.diagnostics(workspace),
+		) ?? { status: 404, headers: {}, body: "Not Found" };
 
-		if (parsedUrl.pathname === this.config.endpoint) {
-			const devtoolsJson: DevToolsJSON = {
-				workspace: {
-					root: projectRoot,
-					uuid,
-				},
-			};
-
-			res.setHeader("Content-Type", "application/json");
-			res.setHeader("Access-Control-Allow-Origin", "*");
-			res.statusCode = 200;
-			res.end(JSON.stringify(devtoolsJson, null, 2));
-		} else {
-			res.statusCode = 404;
-			res.end("Not Found");
+		writeResponse(res, response);
+		if (response.payload) {
+			this.emit("request", req, response.payload);
 		}
 	}
 
+	/**
+	 * Builds the reports for the health, info and index routes
+	 */
+	private diagnostics(workspace: ResolvedWorkspace): Diagnostics {
+		const startedAt =
+			this.state.type === "running" ? this.state.startedAt : Date.now();
+		const port = this.getPort() ?? 0;
+
+		return {
+			health: () => createHealthReport(startedAt),
+			info: () =>
+				createInfoReport({
+					// In socket mode the port is the bridge, which listens on localhost
+					host: this.config.socketPath ? "localhost" : this.config.host,
+					port,
+					socketPath: this.config.socketPath,
+					root: workspace.root,
+					uuid: workspace.uuid,
+					uuidSource: workspace.uuidSource,
+					config: describeServerConfig(this.config),
+				}),
+		};
+	}
+
 	private gracefulShutdown(server: http.Server): Promise<void> {
 		return new Promise((resolve, reject) => {
 			const timeout = setTimeout(() => {
@@ -385,6 +615,10 @@ class DevToolsServer extends EventEmitter {
 class ServerManager {
 	private static instance: ServerManager | null = null;
 	private server: DevToolsServer | null = null;
+	private ready: Promise<Result<number, DevToolsError>> | null = null;
+	private info: DevToolsServerInfo | null = null;
+	private registry: ServerRegistry | null = null;
+	private instanceId: string | null = null;
 	private cleanupRegistered = false;
 
 	static getInstance(): ServerManager {
@@ -402,22 +636,161 @@ class ServerManager {
 	async startServer(
 		config: ServerConfig,
 	): Promise<Result<number, DevToolsError>> {
-		if (this.server) {
-			const existingPort = this.server.getPort();
-			if (existingPort !== undefined) {
-				return ok(existingPort);
+		// Share an in-flight or successful start instead of binding a second port
+		if (this.ready) {
+			const existing = await this.ready;
+			if (
+				existing.isOk() &&
+				(!this.server || this.server.getPort() !== undefined)
+			) {
+				return existing;
 			}
 		}
 
-		const uuidManager = new UUIDManager(fs, path, crypto);
-		this.server = new DevToolsServer(config, uuidManager);
+		this.ready = this.startOrReuse(config);
+		return this.ready;
+	}
+
+	/**
+	 * Waits until the most recent start attempt has bound its port
+	 * @param timeoutMs - Maximum time to wait before giving up
+	 * @returns Promise resolving to Result with the bound port, or a ServerError
+	 * if the server was never started, failed to start, or did not bind in time
+	 */
+	async waitForReady(
+		timeoutMs: number,
+	): Promise<Result<number, DevToolsError>> {
+		if (!this.ready) {
+			return err({
+				_tag: "ServerError",
+				operation: "start",
+				cause: new Error("DevTools server has not been started"),
+			});
+		}
+
+		let timer: NodeJS.Timeout | undefined;
+		const timeout = new Promise<Result<number, DevToolsError>>((resolve) => {
+			timer = setTimeout(() => {
+				resolve(
+					err({
+						_tag: "ServerError",
+						operation: "start",
+						cause: new Error(
+							`DevTools server did not become ready within ${timeoutMs}ms`,
+						),
+					}),
+				);
+			}, timeoutMs);
+		});
+
+		try {
+			return await Promise.race([this.ready, timeout]);
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+
+	/**
+	 * Finds the port the rewrites proxy to in instrumentation mode. Next.js
+	 * loads the rewrites before it runs instrumentation.ts, so the port cannot
+	 * come from register(). Uses the port of a server or reservation
+	 * registered for the same configuration, or reserves a free port for
+	 * register() to bind.
+	 * @param config - Server configuration, which must match the one
+	 * register() is called with
+	 * @returns Promise resolving to Result with the port, or a DevToolsError
+	 * if no port can be reserved
+	 */
+	async reservePort(
+		config: ServerConfig,
+	): Promise<Result<number, DevToolsError>> {
+		// register() ran in this process
+		if (this.ready) {
+			return this.waitForReady(config.readyTimeoutMs);
+		}
+
+		const registry = openRegistry();
+		const instanceId = crypto.randomUUID();
+		const configKey = registryKey(config);
+		const claim = registry.acquire(instanceId, configKey);
+		if (claim.isErr()) {
+			return err(claim.unwrapErr());
+		}
+
+		const acquired = claim.unwrap();
+		if (acquired.type === "existing") {
+			const { entry } = acquired;
+			if (entry.configKey !== configKey) {
+				return err({
+					_tag: "ServerError",
+					operation: "start",
+					cause: new Error(
+						`The devtools server registry is owned by pid ${entry.pid} with a different configuration than instrumentation uses`,
+					),
+				});
+			}
+
+			const registered = await this.waitForRegisteredServer(
+				registry,
+				entry,
+				config.readyTimeoutMs,
+			);
+			if (registered.isErr()) {
+				return err(registered.unwrapErr());
+			}
+			const { port, reserved } = registered.unwrap();
+			if (reserved || (await probeServer(config, port))) {
+				debug.registry(`Using port ${port} registered by pid ${entry.pid}`);
+				return ok(port);
+			}
 
+			debug.registry(
+				`Registered server on port ${port} does not answer, reclaiming the registry`,
+			);
+			registry.release(entry.instanceId);
+			const reclaimed = registry.acquire(instanceId, configKey);
+			if (reclaimed.isErr()) {
+				return err(reclaimed.unwrapErr());
+			}
+			if (reclaimed.unwrap().type !== "owner") {
+				return this.reservePort(config);
+			}
+		}
+
+		const portResult = await findFreePort(config);
+		if (portResult.isErr()) {
+			registry.release(instanceId);
+			return portResult;
+		}
+
+		const port = portResult.unwrap();
+		registry.reserve(instanceId, port).tapErr((error) => {
+			debug.registry("Failed to record the reserved port:", error);
+		});
+		this.registry = registry;
+		this.instanceId = instanceId;
 		if (!this.cleanupRegistered) {
 			this.registerCleanupHandlers();
 		}
+		debug.registry(`Reserved port ${port} for register()`);
+
+		// Without instrumentation.ts calling register(), nothing ever binds it
+		setTimeout(() => {
+			const current = registry.read();
+			if (current?.instanceId === instanceId && current.reserved) {
+				console.warn(
+					`[next-plugin-devtools-json] ${formatDevToolsError({
+						_tag: "ServerError",
+						operation: "start",
+						cause: new Error(
+							`No devtools server from instrumentation started on port ${port} within ${config.readyTimeoutMs}ms`,
+						),
+					})}`,
+				);
+			}
+		}, config.readyTimeoutMs).unref();
 
-		const result = await this.server.start();
-		return result.map(({ port }) => port);
+		return ok(port);
 	}
 
 	/**
@@ -425,15 +798,193 @@ class ServerManager {
 	 * @returns Promise resolving to Result with void or ServerError
 	 */
 	async stopServer(): Promise<Result<void, ServerError>> {
+		// Released synchronously so it also happens from the "exit" handler
+		if (this.registry && this.instanceId) {
+			this.registry.release(this.instanceId);
+			this.instanceId = null;
+		}
+
+		// Let an in-flight start finish so its listener is closed too
+		if (this.ready) {
+			await this.ready;
+		}
+
+		this.info = null;
 		if (!this.server) {
+			this.ready = null;
 			return ok(undefined);
 		}
 
 		const result = await this.server.stop();
 		this.server = null;
+		this.ready = null;
+		return result;
+	}
+
+	/**
+	 * Describes the server this process started or reuses, once it is ready
+	 * @returns The server info, or null if no server is running
+	 */
+	async getInfo(): Promise<DevToolsServerInfo | null> {
+		if (this.ready) {
+			await this.ready;
+		}
+		return this.info;
+	}
+
+	/**
+	 * Reuses the devtools server owned by another Next.js process for the same
+	 * project, or starts and registers a new one
+	 */
+	private async startOrReuse(
+		config: ServerConfig,
+	): Promise<Result<number, DevToolsError>> {
+		const registry = openRegistry();
+		this.registry = registry;
+
+		const instanceId = crypto.randomUUID();
+		const configKey = registryKey(config);
+		const claim = registry.acquire(instanceId, configKey);
+
+		if (claim.isErr()) {
+			debug.registry("Server registry unavailable:", claim.unwrapErr());
+			return this.launch(config, null);
+		}
+
+		const acquired = claim.unwrap();
+		if (acquired.type === "owner") {
+			return this.launch(config, instanceId);
+		}
+
+		if (acquired.entry.configKey !== configKey) {
+			debug.registry(
+				`Registry is owned by pid ${acquired.entry.pid} with a different configuration, starting a separate server`,
+			);
+			return this.launch(config, null);
+		}
+
+		const entryResult = await this.waitForRegisteredServer(
+			registry,
+			acquired.entry,
+			config.readyTimeoutMs,
+		);
+		if (entryResult.isErr()) {
+			debug.registry("Registered server unavailable:", entryResult.unwrapErr());
+			return this.launch(config, null);
+		}
+
+		const { port, workspace, reserved } = entryResult.unwrap();
+		if (reserved) {
+			// next.config reserved the port for this register() call
+			const transferred = registry.transfer(
+				acquired.entry.instanceId,
+				instanceId,
+			);
+			debug.registry(
+				`Binding port ${port} reserved by pid ${acquired.entry.pid}`,
+			);
+			return this.launch(
+				{ ...config, reservedPort: port },
+				transferred.isOk() && transferred.unwrap() ? instanceId : null,
+			);
+		}
+		if (!(await probeServer(config, port))) {
+			debug.registry(
+				`Registered server on port ${port} does not answer, reclaiming the registry`,
+			);
+			registry.release(acquired.entry.instanceId);
+			const reclaimed = registry.acquire(instanceId, configKey);
+			const owned = reclaimed.isOk() && reclaimed.unwrap().type === "owner";
+			return this.launch(config, owned ? instanceId : null);
+		}
+
+		debug.registry(
+			`Reusing devtools server on port ${port} owned by pid ${acquired.entry.pid}`,
+		);
+		this.server = null;
+		this.info = workspace
+			? {
+					port,
+					...workspace,
+					urls: endpointUrls(config.endpoints),
+					socketPath: config.socketPath,
+				}
+			: null;
+		return ok(port);
+	}
+
+	private async launch(
+		config: ServerConfig,
+		instanceId: string | null,
+	): Promise<Result<number, DevToolsError>> {
+		const uuidManager = new UUIDManager(fs, path, crypto);
+		const server = new DevToolsServer(config, uuidManager);
+		attachHooks(server, config.hooks);
+		this.server = server;
+		this.instanceId = instanceId;
+
+		if (!this.cleanupRegistered) {
+			this.registerCleanupHandlers();
+		}
+
+		const result = (await server.start()).map(({ port }) => port);
+		this.info = server.getInfo() ?? null;
+
+		if (instanceId && this.registry) {
+			const registry = this.registry;
+			const workspace = this.info
+				? { uuid: this.info.uuid, root: this.info.root }
+				: undefined;
+			result
+				.tap((port) => {
+					registry.publish(instanceId, port, workspace).tapErr((error) => {
+						debug.registry("Failed to publish server port:", error);
+					});
+				})
+				.tapErr(() => {
+					registry.release(instanceId);
+				});
+		}
+
 		return result;
 	}
 
+	/**
+	 * Polls the registry until the owning process publishes its bound port
+	 * @returns Result with the published entry, or a ServerError if the owner
+	 * exits or does not publish in time
+	 */
+	private async waitForRegisteredServer(
+		registry: ServerRegistry,
+		entry: RegistryEntry,
+		timeoutMs: number,
+	): Promise<Result<RegistryEntry & { port: number }, ServerError>> {
+		const deadline = Date.now() + timeoutMs;
+
+		while (Date.now() < deadline) {
+			const current = registry.read();
+			if (
+				!current ||
+				current.instanceId !== entry.instanceId ||
+				!registry.isAlive(current)
+			) {
+				break;
+			}
+			if (current.port !== null) {
+				return ok({ ...current, port: current.port });
+			}
+			await new Promise((resolve) => setTimeout(resolve, 100));
+		}
+
+		return err({
+			_tag: "ServerError",
+			operation: "start",
+			cause: new Error(
+				`DevTools server registered by pid ${entry.pid} did not become available`,
+			),
+		});
+	}
+
 	private registerCleanupHandlers(): void {
 		this.cleanupRegistered = true;
 
@@ -449,79 +1000,685 @@ class ServerManager {
 	}
 }
 
+/**
+ * Checks whether the project's Next.js runs instrumentation.ts only when
+ * `experimental.instrumentationHook` is set, as versions before 15 do
+ * @returns false when the version cannot be read
+ */
+function needsInstrumentationHook(): boolean {
+	const major = Number.parseInt(readNextVersion(process.cwd()) ?? "", 10);
+	return major < 15;
+}
+
+/**
+ * Opens the registry shared by every Next.js process of the project
+ */
+function openRegistry(): ServerRegistry {
+	return new ServerRegistry(
+		fs,
+		path,
+		path.resolve(process.cwd(), ".next", "cache", "devtools-server.json"),
+	);
+}
+
+/**
+ * Finds a free port for the rewrites to reserve in instrumentation mode, by
+ * binding and releasing it. Ports are tried as the server would try them; in
+ * socket mode the port belongs to the socket bridge.
+ * @param config - Server configuration
+ * @returns Promise resolving to Result with the port, or a PortExhaustedError
+ * or ServerError
+ */
+async function findFreePort(
+	config: ServerConfig,
+): Promise<Result<number, DevToolsError>> {
+	const host = config.socketPath ? "localhost" : config.host;
+	const firstPort = config.socketPath ? 0 : config.initialPort;
+	const attempts = firstPort === 0 ? 1 : config.maxPortAttempts;
+
+	for (let attempt = 0; attempt < attempts; attempt++) {
+		const port = firstPort === 0 ? 0 : firstPort + attempt;
+		const bound = await new Promise<number | NodeJS.ErrnoException>(
+			(resolve) => {
+				const server = http.createServer();
+				server.once("error", resolve);
+				server.listen(port, host, () => {
+					const address = server.address() as { port: number };
+					server.close(() => resolve(address.port));
+				});
+			},
+		);
+
+		if (typeof bound === "number") {
+			return ok(bound);
+		}
+		if (bound.code !== "EADDRINUSE") {
+			return err({
+				_tag: "ServerError",
+				operation: "listen",
+				port,
+				cause: bound,
+			});
+		}
+		debug.server(`Port ${port} is in use`);
+	}
+
+	return err({
+		_tag: "PortExhaustedError",
+		attempts,
+		lastPort: firstPort + attempts - 1,
+	});
+}
+
+/**
+ * Checks that a registered server answers its first endpoint. Guards against
+ * entries whose port now belongs to another program or to nothing at all.
+ * @param config - Server configuration, for the endpoint, host and token
+ * @param port - Port published in the registry
+ * @returns Promise resolving to true if the server answered with 200
+ */
+function probeServer(config: ServerConfig, port: number): Promise<boolean> {
+	const token = config.security.token;
+
+	return new Promise((resolve) => {
+		const req = http.get(
+			{
+				// http.get takes IPv6 addresses without the URL brackets
+				host: config.socketPath
+					? "localhost"
+					: connectHost(config.host).replace(/^\[(.*)\]$/, "$1"),
+				port,
+				path: config.endpoints[0],
+				headers: token ? { [TOKEN_HEADER]: token } : {},
+				timeout: PROBE_TIMEOUT_MS,
+			},
+			(res) => {
+				res.resume();
+				resolve(res.statusCode === 200);
+			},
+		);
+		req.on("timeout", () => req.destroy());
+		req.on("error", () => resolve(false));
+	});
+}
+
+/**
+ * Fingerprints every part of the configuration that shapes what a running
+ * server serves and whom it answers: where it listens, the workspace it
+ * reports and its security settings. Hooks and timeouts are left out, since
+ * they only concern the process that owns the server.
+ */
+function registryKey(config: ServerConfig): string {
+	const served = {
+		endpoints: config.endpoints,
+		listen: config.socketPath ?? config.initialPort,
+		host: config.host,
+		uuid: config.uuid,
+		uuidStrategy: config.uuidStrategy,
+		uuidSalt: config.uuidSalt,
+		uuidStorage: config.uuidStorage,
+		root: config.root,
+		pathMappings: config.pathMappings,
+		security: config.security,
+	};
+	// A root resolver is compared by its source, which is all JSON can keep
+	const serialized = JSON.stringify(served, (_key, value) =>
+		typeof value === "function" ? value.toString() : value,
+	);
+	return crypto.createHash("sha256").update(serialized).digest("hex");
+}
+
 /**
  * Builds server configuration from user-provided options
  * @param options - Plugin configuration options
- * @returns Complete server configuration with defaults applied
+ * @returns Result with the complete server configuration with defaults
+ * applied, or a FileSystemError if the shared token cannot be read
  */
-function buildServerConfig(options: DevToolsJSONOptions): ServerConfig {
-	return {
-		endpoint: options.endpoint ?? DEFAULT_CONFIG.endpoint,
-		initialPort: options.port ?? DEFAULT_CONFIG.port,
+function buildServerConfig(
+	options: DevToolsJSONOptions,
+): Result<ServerConfig, FileSystemError> {
+	const host = options.host ?? DEFAULT_CONFIG.host;
+
+	const mode = options.mode ?? DEFAULT_CONFIG.mode;
+
+	const tokenResult: Result<string | undefined, FileSystemError> =
+		options.token === true
+			? getOrCreateSharedToken(process.cwd())
+			: ok(options.token || undefined);
+
+	return tokenResult.map((token) => ({
+		mode,
+		endpoints: resolveEndpoints(options.endpoints, options.endpoint),
+		// In instrumentation mode the OS picks a free loopback port by default
+		initialPort:
+			options.port ?? (mode === "instrumentation" ? 0 : DEFAULT_CONFIG.port),
 		maxPortAttempts: options.maxPortAttempts ?? DEFAULT_CONFIG.maxPortAttempts,
 		shutdownTimeoutMs:
 			options.shutdownTimeoutMs ?? DEFAULT_CONFIG.shutdownTimeoutMs,
+		readyTimeoutMs: options.readyTimeoutMs ?? DEFAULT_CONFIG.readyTimeoutMs,
+		socketPath: resolveSocketPath(options.socketPath),
 		uuid: options.uuid,
+		uuidStrategy: options.uuidStrategy ?? DEFAULT_CONFIG.uuidStrategy,
+		uuidSalt: options.uuidSalt,
+		uuidStorage: options.uuidStorage ?? DEFAULT_CONFIG.uuidStorage,
+		root: options.root,
+		pathMappings: options.pathMappings,
+		host,
+		security: {
+			allowedHosts: defaultAllowedHosts(host, options.allowedHosts),
+			allowedOrigins: options.allowedOrigins ?? defaultAllowedOrigins(),
+			token,
+		},
+		hooks: {
+			onStart: options.onStart,
+			onStop: options.onStop,
+			onRequest: options.onRequest,
+			onError: options.onError,
+		},
+	}));
+}
+
+/**
+ * Wraps a hook so a throwing or rejecting hook is reported instead of
+ * crashing the server
+ */
+function guardHook<Args extends unknown[]>(
+	name: keyof DevToolsHooks,
+	hook: (...args: Args) => void,
+): (...args: Args) => void {
+	const report = (error: unknown) => {
+		console.error(`[next-plugin-devtools-json] ${name} hook failed:`, error);
+	};
+
+	return (...args) => {
+		try {
+			const result: unknown = hook(...args);
+			if (isPromiseLike(result)) {
+				result.then(undefined, report);
+			}
+		} catch (error) {
+			report(error);
+		}
+	};
+}
+
+/**
+ * Subscribes the lifecycle hooks from the plugin options to a server's events
+ */
+function attachHooks(server: DevToolsServer, hooks: DevToolsHooks): void {
+	if (hooks.onStart) {
+		server.on("started", guardHook("onStart", hooks.onStart));
+	}
+	if (hooks.onStop) {
+		server.on("stopped", guardHook("onStop", hooks.onStop));
+	}
+	if (hooks.onRequest) {
+		server.on("request", guardHook("onRequest", hooks.onRequest));
+	}
+	if (hooks.onError) {
+		server.on("error", guardHook("onError", hooks.onError));
+	}
+}
+
+/**
+ * Resolves the workspace root and UUID reported to Chrome
+ * @param config - Server configuration
+ * @param uuidManager - Reads, creates or derives the UUID
+ * @returns Result with the reported root, the UUID and where it came from,
+ * or the DevToolsError that prevented resolving them
+ */
+function resolveWorkspace(
+	config: ServerConfig,
+	uuidManager: UUIDManager,
+): Result<ResolvedWorkspace, DevToolsError> {
+	const projectRoot = process.cwd();
+	const rootResult = tryCatch(
+		() => resolveWorkspaceRoot(config.root, projectRoot),
+		(error): ConfigError => ({
+			_tag: "ConfigError",
+			field: "root",
+			message: `Failed to resolve workspace root: ${(error as Error).message}`,
+			received: config.root,
+			hint: 'Pass "auto", a path, or a function returning a non-empty path',
+		}),
+	);
+
+	if (rootResult.isErr()) {
+		return err(rootResult.unwrapErr());
+	}
+
+	const workspaceRoot = rootResult.unwrap();
+	debug.server(
+		`Workspace root: ${workspaceRoot.path} (strategy: ${workspaceRoot.strategy})`,
+	);
+
+	const reportedRoot = mapWorkspacePath(
+		workspaceRoot.path,
+		config.pathMappings,
+	);
+	if (reportedRoot.source !== "none") {
+		debug.server(
+			`Reporting workspace root as ${reportedRoot.path} (mapped via ${reportedRoot.source})`,
+		);
+	}
+
+	const uuidResult =
+		config.uuidStrategy === "deterministic" && !config.uuid
+			? uuidManager.deriveFromRoot(workspaceRoot.path, config.uuidSalt)
+			: uuidManager.getOrCreate(projectRoot, config.uuid, {
+					storage: config.uuidStorage,
+					workspaceRoot: workspaceRoot.path,
+				});
+
+	const uuidSource: UUIDSource = config.uuid
+		? "option"
+		: config.uuidStrategy === "deterministic"
+			? "deterministic"
+			: config.uuidStorage;
+
+	return uuidResult.map((uuid) => ({
+		root: reportedRoot.path,
+		uuid,
+		uuidSource,
+	}));
+}
+
+/**
+ * Summarizes the server configuration for the info route. The token is
+ * redacted and functions are not serializable, so both are replaced.
+ */
+function describeServerConfig(config: ServerConfig): Record<string, unknown> {
+	return {
+		mode: config.mode,
+		endpoints: config.endpoints,
+		port: config.initialPort,
+		maxPortAttempts: config.maxPortAttempts,
+		shutdownTimeoutMs: config.shutdownTimeoutMs,
+		readyTimeoutMs: config.readyTimeoutMs,
+		host: config.host,
+		socketPath: config.socketPath,
+		root: typeof config.root === "function" ? "[function]" : config.root,
+		pathMappings: config.pathMappings,
+		uuidStrategy: config.uuidStrategy,
+		uuidStorage: config.uuidStorage,
+		allowedHosts: config.security.allowedHosts,
+		allowedOrigins: config.security.allowedOrigins,
+		token: config.security.token ? "[redacted]" : undefined,
 	};
 }
 
+/**
+ * Resolves the socketPath option to an absolute path
+ * @param socketPath - `true` for the default socket, or a path relative to `.next/cache`
+ * @returns Absolute socket path, or undefined when socket mode is disabled
+ */
+function resolveSocketPath(
+	socketPath: string | boolean | undefined,
+): string | undefined {
+	if (!socketPath) {
+		return undefined;
+	}
+	const cacheDir = path.resolve(process.cwd(), ".next", "cache");
+	return path.resolve(
+		cacheDir,
+		socketPath === true ? DEFAULT_SOCKET_NAME : socketPath,
+	);
+}
+
 /**
  * Creates Next.js rewrite rules for devtools JSON endpoints
- * @param endpoint - The devtools JSON endpoint path
+ *
+ * Chrome fetches the well-known path at the origin root, so when the app sets
+ * a basePath or i18n locales the rules opt out of both prefixes. Otherwise
+ * Next would only match `/<basePath>/...` or `/<locale>/...`.
+ * @param config - Server configuration (endpoints, bind host and token)
  * @param port - The port where the devtools server is running
+ * @param nextConfig - The Next.js config, read for basePath and i18n
  * @returns Array of rewrite rule objects for Next.js configuration
  */
-function createRewrites(endpoint: string, port: number) {
-	return [
-		{
-			source: endpoint,
-			destination: `http://localhost:${port}${endpoint}`,
-		},
-		{
-			source: CHROME_DEVTOOLS_PATH,
-			destination: `http://localhost:${port}${endpoint}`,
-		},
+function createRewrites(
+	config: ServerConfig,
+	port: number,
+	nextConfig: NextConfig = {},
+) {
+	const host = config.socketPath ? "localhost" : connectHost(config.host);
+	const query = config.security.token
+		? `?${TOKEN_QUERY_PARAM}=${encodeURIComponent(config.security.token)}`
+		: "";
+	const matchAtRoot = {
+		...(nextConfig.basePath ? { basePath: false as const } : {}),
+		...(nextConfig.i18n ? { locale: false as const } : {}),
+	};
+
+	// The server routes every endpoint itself, so each keeps its own path
+	return config.endpoints.map((endpoint) => ({
+		source: endpoint,
+		destination: `http://${host}:${port}${endpoint}${query}`,
+		...matchAtRoot,
+	}));
+}
+
+/**
+ * Merges the configuration layers and validates the result before use
+ * @param pluginOptions - Options passed to withDevToolsJSON
+ * @returns The merged options, without invalid fields so their defaults apply
+ * @throws In strict mode, an error listing every invalid option
+ */
+function checkOptions(pluginOptions: DevToolsJSONOptions): DevToolsJSONOptions {
+	const explicitErrors =
+		typeof pluginOptions === "object" && pluginOptions !== null
+			? []
+			: validateOptions(pluginOptions);
+	const layered = resolveLayeredOptions(
+		explicitErrors.length === 0 ? pluginOptions : {},
+	);
+	const errors = [
+		...explicitErrors,
+		...layered.errors,
+		...validateOptions(layered.options),
 	];
+	const options =
+		errors.length === 0
+			? layered.options
+			: omitInvalidOptions(layered.options, errors);
+
+	// Route output to the logger before anything else is logged
+	setLogger(options.logger);
+	debug.config(`Resolved configuration:\n${formatLayeredOptions(layered)}`);
+
+	if (errors.length === 0) {
+		return options;
+	}
+
+	const report = errors
+		.map((error) => `  - ${formatConfigError(error)}`)
+		.join("\n");
+	if (layered.options.strict === true) {
+		throw new Error(`[next-plugin-devtools-json] Invalid options:\n${report}`);
+	}
+
+	console.warn(
+		`[next-plugin-devtools-json] Ignoring invalid options, defaults apply:\n${report}`,
+	);
+	return options;
+}
+
+/**
+ * Validates the endpoints against the app's routes. Invalid endpoints throw
+ * in strict mode and are logged otherwise.
+ * @param config - Server configuration with the resolved endpoints
+ * @param options - Checked plugin options
+ * @param consequence - What happens when the endpoints are invalid
+ * @returns true when the endpoints can be served
+ */
+/**
+ * Builds the server configuration and checks its endpoints, reporting what
+ * keeps the server from starting
+ * @param options - Checked plugin options
+ * @param consequence - What happens instead, for the error message
+ * @returns The configuration, or null if the server must not start
+ * @throws In strict mode, instead of reporting the error
+ */
+function prepareServerConfig(
+	options: DevToolsJSONOptions,
+	consequence: string,
+): ServerConfig | null {
+	const configResult = buildServerConfig(options);
+	if (configResult.isErr()) {
+		const error = configResult.unwrapErr();
+		const message = `[next-plugin-devtools-json] Shared token unavailable, ${consequence}. ${formatDevToolsError(error)}`;
+		if (options.strict) {
+			throw new Error(message);
+		}
+		console.error(message);
+		if (options.onError) {
+			guardHook("onError", options.onError)(error);
+		}
+		return null;
+	}
+
+	const config = configResult.unwrap();
+	return checkEndpoints(config, options, consequence) ? config : null;
+}
+
+function checkEndpoints(
+	config: ServerConfig,
+	options: DevToolsJSONOptions,
+	consequence: string,
+): boolean {
+	const endpointsResult = validateEndpoints(config.endpoints, process.cwd());
+	if (endpointsResult.isOk()) {
+		return true;
+	}
+
+	const message = `[next-plugin-devtools-json] Invalid endpoints, ${consequence}: ${formatConfigError(endpointsResult.unwrapErr())}`;
+	if (options.strict) {
+		throw new Error(message);
+	}
+	console.error(message);
+	return false;
+}
+
+/**
+ * URLs of the endpoints as served by the Next.js app, or just their paths
+ * when the app's origin is not known in this process
+ */
+function endpointUrls(endpoints: ReadonlyArray<string>): string[] {
+	const origin = nextAppOrigin() ?? "";
+	return endpoints.map((endpoint) => `${origin}${endpoint}`);
+}
+
+/**
+ * Summarizes rewrites for debug output, leaving out the token query
+ */
+function describeRewrites(
+	rewrites: ReadonlyArray<{ source: string; destination: string }>,
+): string {
+	return rewrites
+		.map(
+			({ source, destination }) => `${source} -> ${destination.split("?")[0]}`,
+		)
+		.join(", ");
+}
+
+/**
+ * Decides whether the plugin should run for the current Next.js invocation
+ * @param options - Plugin configuration options
+ * @param phase - Next.js phase, if next.config is in function form
+ * @returns true if the devtools server should start
+ */
+function isEnabled(options: DevToolsJSONOptions, phase?: string): boolean {
+	if (typeof options.enabled === "function") {
+		return options.enabled({ phase, env: process.env });
+	}
+	if (options.enabled === false) {
+		return false;
+	}
+	// Object configs don't receive a phase, so fall back to NODE_ENV
+	return phase !== undefined
+		? phase === PHASE_DEVELOPMENT_SERVER
+		: process.env.NODE_ENV === "development";
+}
+
+/**
+ * Checks whether a value is a promise-like object
+ */
+function isPromiseLike<T>(value: unknown): value is PromiseLike<T> {
+	return (
+		typeof value === "object" &&
+		value !== null &&
+		typeof (value as PromiseLike<T>).then === "function"
+	);
+}
+
+/**
+ * Detects a plugin options object passed where a Next.js config is expected,
+ * as in the 2.x `withDevToolsJSON(options)(nextConfig)` call style. An empty
+ * object reads as options too, so `withDevToolsJSON({})(nextConfig)` works.
+ */
+function isPluginOptions(value: unknown): value is DevToolsJSONOptions {
+	if (typeof value !== "object" || value === null || isPromiseLike(value)) {
+		return false;
+	}
+	return Object.keys(value).every(isKnownOption);
+}
+
+let legacySignatureWarned = false;
+
+function warnLegacySignature(): void {
+	if (legacySignatureWarned) {
+		return;
+	}
+	legacySignatureWarned = true;
+	console.warn(
+		"[next-plugin-devtools-json] withDevToolsJSON(options)(nextConfig) is deprecated and will be removed in the next major version. Use withDevToolsJSON(nextConfig, options) instead.",
+	);
+}
+
+/**
+ * Creates the function returned when withDevToolsJSON gets no Next.js config.
+ * Exported as next.config it is called with the phase and extends an empty
+ * config; called with a Next.js config it is the deprecated 2.x style.
+ */
+function createConfigWrapper(
+	options: DevToolsJSONOptions,
+): LegacyConfigWrapper {
+	return (nextConfig: NextConfig | string = {}) => {
+		if (typeof nextConfig === "string") {
+			return applyDevToolsJSON({}, options, nextConfig);
+		}
+		warnLegacySignature();
+		return withDevToolsJSON(nextConfig, options);
+	};
 }
 
 /**
  * Enhances Next.js configuration to serve devtools JSON metadata
- * @param nextConfig - The Next.js configuration object to extend
+ *
+ * Calling it with only a plugin options object, or with no argument, returns
+ * a function: Next.js accepts it as a config function, and it also takes a
+ * Next.js config in the deprecated 2.x curried style, which logs a warning.
+ * With no argument or an empty object it is also the extended empty config.
+ * @param nextConfig - The Next.js configuration to extend: an object, a
+ * promise, or a `(phase, { defaultConfig }) => config` function that may
+ * itself return a promise
  * @param options - Plugin configuration options for devtools JSON
- * @returns Modified Next.js configuration with devtools JSON support
+ * @returns Modified Next.js configuration with devtools JSON support, in the
+ * same shape as the input
  */
+// NextConfig accepts any object, functions and promises included, so its
+// overload comes last; async functions would also match NextConfigFunction
 function withDevToolsJSON(
-	nextConfig: NextConfig = {},
-	options: DevToolsJSONOptions = {},
+	nextConfig: AsyncNextConfigFunction,
+	options?: DevToolsJSONOptions,
+): AsyncNextConfigFunction;
+function withDevToolsJSON(
+	nextConfig: NextConfigFunction,
+	options?: DevToolsJSONOptions,
+): NextConfigFunction;
+function withDevToolsJSON(
+	nextConfig: Promise<NextConfig>,
+	options?: DevToolsJSONOptions,
+): Promise<NextConfig>;
+function withDevToolsJSON(options?: DevToolsJSONOptions): LegacyConfigWrapper;
+function withDevToolsJSON(
+	nextConfig: NextConfig,
+	options?: DevToolsJSONOptions,
+): NextConfig;
+function withDevToolsJSON(
+	nextConfig?:
+		| NextConfig
+		| Promise<NextConfig>
+		| NextConfigFunction
+		| AsyncNextConfigFunction,
+	options?: DevToolsJSONOptions,
+):
+	| NextConfig
+	| Promise<NextConfig>
+	| NextConfigFunction
+	| AsyncNextConfigFunction
+	| LegacyConfigWrapper {
+	if (
+		options === undefined &&
+		(nextConfig === undefined || isPluginOptions(nextConfig))
+	) {
+		const legacyOptions = nextConfig ?? {};
+		if (Object.keys(legacyOptions).length > 0) {
+			warnLegacySignature();
+			return createConfigWrapper(legacyOptions);
+		}
+		// Nothing to tell the readings apart, so the result serves as both
+		return Object.assign(createConfigWrapper({}), applyDevToolsJSON({}, {}));
+	}
+
+	return extendNextConfig(nextConfig ?? {}, options ?? {});
+}
+
+function extendNextConfig(
+	nextConfig:
+		| NextConfig
+		| Promise<NextConfig>
+		| NextConfigFunction
+		| AsyncNextConfigFunction,
+	options: DevToolsJSONOptions,
+): NextConfig | Promise<NextConfig> | NextConfigFunction {
+	if (typeof nextConfig === "function") {
+		return (phase: string, context: NextConfigContext) => {
+			const resolved = nextConfig(phase, context);
+			return isPromiseLike<NextConfig>(resolved)
+				? Promise.resolve(resolved).then((config) =>
+						applyDevToolsJSON(config, options, phase),
+					)
+				: applyDevToolsJSON(resolved, options, phase);
+		};
+	}
+
+	if (isPromiseLike<NextConfig>(nextConfig)) {
+		return Promise.resolve(nextConfig).then((config) =>
+			applyDevToolsJSON(config, options),
+		);
+	}
+
+	return applyDevToolsJSON(nextConfig, options);
+}
+
+function applyDevToolsJSON(
+	nextConfig: NextConfig,
+	pluginOptions: DevToolsJSONOptions,
+	phase?: string,
 ): NextConfig {
-	// Only enable in development mode and if not explicitly disabled
-	if (process.env.NODE_ENV !== "development" || options.enabled === false) {
+	const options = checkOptions(pluginOptions);
+	if (!isEnabled(options, phase)) {
+		return nextConfig;
+	}
+
+	const config = prepareServerConfig(options, "devtools rewrites disabled");
+	if (!config) {
 		return nextConfig;
 	}
 
-	const config = buildServerConfig(options);
 	const manager = ServerManager.getInstance();
 
-	// Start server asynchronously
-	let actualPort = config.initialPort;
-	manager.startServer(config).then((result) => {
-		result
-			.tap((port) => {
-				actualPort = port;
-			})
-			.tapErr((error) => {
-				console.error(
-					"[next-plugin-devtools-json] Failed to start server:",
-					error,
-				);
+	// Start server asynchronously; rewrites() waits for it to bind. In
+	// instrumentation mode register() starts it in the Next.js server process,
+	// on the port rewrites() reserves.
+	if (config.mode === "standalone") {
+		manager.startServer(config).then((result) => {
+			result.tapErr((error) => {
+				console.error(formatStartupFailure(error));
 			});
-	});
+		});
+	}
 
 	// Return config with rewrites
 	const originalRewrites = nextConfig.rewrites;
 
 	return {
 		...nextConfig,
+		...(config.mode === "instrumentation" &&
+			needsInstrumentationHook() && {
+				experimental: { ...nextConfig.experimental, instrumentationHook: true },
+			}),
 		async rewrites() {
 			const existingRewrites = originalRewrites
 				? await (typeof originalRewrites === "function"
@@ -529,14 +1686,36 @@ function withDevToolsJSON(
 						: originalRewrites)
 				: [];
 
-			const devToolsRewrites = createRewrites(config.endpoint, actualPort);
+			const readyResult =
+				config.mode === "instrumentation"
+					? await manager.reservePort(config)
+					: await manager.waitForReady(config.readyTimeoutMs);
+			if (readyResult.isErr()) {
+				// Never guess a port: it may belong to another app's devtools server
+				console.warn(
+					`[next-plugin-devtools-json] DevTools server is not ready, skipping devtools rewrites. ${formatDevToolsError(readyResult.unwrapErr())}`,
+				);
+				return existingRewrites;
+			}
+
+			const devToolsRewrites = createRewrites(
+				config,
+				readyResult.unwrap(),
+				nextConfig,
+			);
 
 			// Handle different rewrite structures
 			if (Array.isArray(existingRewrites)) {
+				debug.rewrites(
+					`Prepending devtools rewrites: ${describeRewrites(devToolsRewrites)}`,
+				);
 				return [...devToolsRewrites, ...existingRewrites];
 			}
 
 			if (existingRewrites && typeof existingRewrites === "object") {
+				debug.rewrites(
+					`Adding devtools rewrites to beforeFiles: ${describeRewrites(devToolsRewrites)}`,
+				);
 				return {
 					...existingRewrites,
 					beforeFiles: [
@@ -546,11 +1725,226 @@ function withDevToolsJSON(
 				};
 			}
 
+			debug.rewrites(
+				`Using devtools rewrites: ${describeRewrites(devToolsRewrites)}`,
+			);
 			return devToolsRewrites;
 		},
 	};
 }
 
+/**
+ * Resolves the plugin options from every configuration layer: built-in
+ * defaults, the `devtoolsJson` key in package.json or a
+ * `devtools-json.config.{js,cjs,mjs,json}` file, `DEVTOOLS_JSON_*` environment
+ * variables, then the explicit options
+ * @param options - Options that would be passed to withDevToolsJSON
+ * @returns The merged options and the layer each value came from
+ */
+function resolveDevToolsConfig(
+	options: DevToolsJSONOptions = {},
+): LayeredOptions {
+	return resolveLayeredOptions(options);
+}
+
+/**
+ * Prints the resolved options and the layer each value came from
+ * @param options - Options that would be passed to withDevToolsJSON
+ */
+function printDevToolsConfig(options: DevToolsJSONOptions = {}): void {
+	console.log(
+		`[next-plugin-devtools-json] Resolved configuration:\n${formatLayeredOptions(resolveLayeredOptions(options))}`,
+	);
+}
+
+/**
+ * Starts the devtools JSON server outside of next.config, e.g. from a custom
+ * dev script or a Playwright global setup. The `enabled` option is ignored;
+ * calling this function is the opt-in. If a Next.js process for the same
+ * project already runs a server with the same configuration, it is reused.
+ * @param options - The same options withDevToolsJSON accepts
+ * @returns Promise resolving to Result with a handle to the server, or the
+ * DevToolsError that prevented it from starting
+ */
+async function startDevToolsServer(
+	options: DevToolsJSONOptions = {},
+): Promise<Result<DevToolsServerHandle, DevToolsError>> {
+	const configResult = buildServerConfig(checkOptions(options));
+	if (configResult.isErr()) {
+		return err(configResult.unwrapErr());
+	}
+
+	const config = configResult.unwrap();
+	const endpointsResult = validateEndpoints(config.endpoints, process.cwd());
+	if (endpointsResult.isErr()) {
+		return err(endpointsResult.unwrapErr());
+	}
+
+	const manager = ServerManager.getInstance();
+	const started = await manager.startServer(config);
+	if (started.isErr()) {
+		return err(started.unwrapErr());
+	}
+
+	const info = await manager.getInfo();
+	if (!info) {
+		return err({
+			_tag: "ServerError",
+			operation: "start",
+			cause: new Error(
+				`DevTools server on port ${started.unwrap()} did not report its workspace`,
+			),
+		});
+	}
+
+	return ok({
+		...info,
+		url: createRewrites(config, info.port)[0].destination,
+		stop: () => manager.stopServer(),
+	});
+}
+
+/**
+ * Describes the devtools JSON server started or reused by this process,
+ * waiting for a start in progress to finish
+ * @returns Promise resolving to the server info, or null if no server is
+ * running
+ */
+function getDevToolsServerInfo(): Promise<DevToolsServerInfo | null> {
+	return ServerManager.getInstance().getInfo();
+}
+
+/**
+ * Starts the devtools server in the Next.js server process. Call it from
+ * `register` in instrumentation.ts with `mode: "instrumentation"` set in
+ * next.config; the rewrites then proxy to this server instead of one started
+ * while loading next.config. Pass the same options as in next.config, or
+ * keep them in a config file so both read the same values.
+ * @param options - The same options withDevToolsJSON accepts
+ * @returns Promise that resolves once the server is listening or has failed
+ * to start
+ */
+async function register(options: DevToolsJSONOptions = {}): Promise<void> {
+	// Instrumentation also runs in the edge runtime, which cannot listen
+	if (process.env.NEXT_RUNTIME && process.env.NEXT_RUNTIME !== "nodejs") {
+		return;
+	}
+
+	const checked = checkOptions({ mode: "instrumentation", ...options });
+	if (!isEnabled(checked)) {
+		return;
+	}
+
+	const config = prepareServerConfig(checked, "devtools server not started");
+	if (!config) {
+		return;
+	}
+
+	const result = await ServerManager.getInstance().startServer(config);
+	result.tapErr((error) => {
+		console.error(formatStartupFailure(error));
+	});
+}
+
+/**
+ * Resolves the devtools JSON a handler serves
+ * @returns The payload, or null when the handler should pass every request on
+ */
+function resolveHandlerPayload(
+	options: DevToolsJSONOptions,
+	config: ServerConfig,
+): DevToolsJSON | null {
+	if (!isEnabled(options)) {
+		return null;
+	}
+	if (!checkEndpoints(config, options, "devtools handler disabled")) {
+		return null;
+	}
+
+	const workspaceResult = resolveWorkspace(
+		config,
+		new UUIDManager(fs, path, crypto),
+	);
+	if (workspaceResult.isErr()) {
+		const error = workspaceResult.unwrapErr();
+		console.error(
+			`[next-plugin-devtools-json] DevTools handler disabled. ${formatDevToolsError(error)}`,
+		);
+		if (options.onError) {
+			guardHook("onError", options.onError)(error);
+		}
+		return null;
+	}
+
+	const { root, uuid } = workspaceResult.unwrap();
+	return { workspace: { root, uuid } };
+}
+
+/**
+ * Creates a request handler that serves the devtools JSON in-process, for
+ * apps that run Next.js through a custom server. No standalone server is
+ * started and no rewrites are needed, so do not also wrap next.config with
+ * withDevToolsJSON. The `token` option is ignored: there is no proxy to
+ * authenticate, and Chrome cannot send a token.
+ * @param options - The same options withDevToolsJSON accepts
+ * @returns A Node.js handler that answers the devtools endpoints and returns
+ * true, or calls `next` and returns false for every other request. It also
+ * carries Express-style `middleware` and a WHATWG `fetch` adapter.
+ */
+function createDevToolsHandler(
+	options: DevToolsJSONOptions = {},
+): DevToolsHandler {
+	const checked = checkOptions(options);
+	// Without a token to read, building the configuration cannot fail
+	const config = buildServerConfig({ ...checked, token: undefined }).unwrap();
+	const payload = resolveHandlerPayload(checked, config);
+	const onRequest =
+		checked.onRequest && guardHook("onRequest", checked.onRequest);
+
+	const handle = (
+		req: http.IncomingMessage,
+		res: http.ServerResponse,
+		next?: () => void,
+	): boolean => {
+		const response = payload && respondToDevToolsRequest(req, config, payload);
+		if (!response) {
+			next?.();
+			return false;
+		}
+
+		debug.request(describeRequest(req, response.status));
+		writeResponse(res, response);
+		if (response.payload) {
+			onRequest?.(req, response.payload);
+		}
+		return true;
+	};
+
+	return Object.assign(handle, {
+		middleware: (
+			req: http.IncomingMessage,
+			res: http.ServerResponse,
+			next: () => void,
+		): void => {
+			handle(req, res, next);
+		},
+		fetch: (request: Request): Response | null => {
+			const req = fromFetchRequest(request);
+			const response =
+				payload && respondToDevToolsRequest(req, config, payload);
+			if (!response) {
+				return null;
+			}
+
+			debug.request(describeRequest(req, response.status));
+			if (response.payload) {
+				onRequest?.(req, response.payload);
+			}
+			return toFetchResponse(response);
+		},
+	});
+}
+
 /**
  * Stops and cleans up the devtools JSON server
  * @returns Promise that resolves when cleanup is complete
@@ -560,7 +1954,9 @@ async function cleanupDevToolsServer(): Promise<void> {
 	const result = await manager.stopServer();
 
 	result.tapErr((error) => {
-		console.error("[next-plugin-devtools-json] Cleanup failed:", error);
+		console.error(
+			`[next-plugin-devtools-json] Cleanup failed. ${formatDevToolsError(error)}`,
+		);
 	});
 }
 
@@ -568,9 +1964,38 @@ export default withDevToolsJSON;
 export {
 	withDevToolsJSON,
 	cleanupDevToolsServer,
+	startDevToolsServer,
+	getDevToolsServerInfo,
+	createDevToolsHandler,
+	register,
+	explainDevToolsError,
+	formatDevToolsError,
+	resolveDevToolsConfig,
+	printDevToolsConfig,
+	CHROME_DEVTOOLS_PATH,
+	type ConfigLayer,
+	type ConfigSource,
+	type LayeredOptions,
 	type DevToolsJSON,
 	type DevToolsJSONOptions,
 	type DevToolsError,
+	type DevToolsServerEvents,
+	type DevToolsServerHandle,
+	type DevToolsHandler,
+	type DevToolsRequest,
+	type ServingMode,
+	type DevToolsServerInfo,
+	type ErrorExplanation,
+	type EnabledContext,
+	type EnabledPredicate,
+	type NextConfigFunction,
+	type AsyncNextConfigFunction,
+	type LegacyConfigWrapper,
+	type RootOption,
+	type RootResolver,
+	type PathMappings,
+	type UUIDStorage,
+	type UUIDStrategy,
 };
 
 export { Result, ok, err } from "./result";
@@ -0,0 +1,157 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Maps path prefixes as seen by the dev server (for example inside a
+ * container) to the same location as seen by Chrome on the host
+ */
+type PathMappings = Readonly<Record<string, string>>;
+
+type PathMappingOption = PathMappings | "auto" | false;
+
+interface MappedPath {
+	readonly path: string;
+	readonly source: "mapping" | "wsl" | "devcontainer" | "none";
+}
+
+const WINDOWS_PATH = /^(?:[a-zA-Z]:[\\/]|\\\\)/;
+
+/**
+ * Joins a host prefix with the remaining path segments, using Windows
+ * separators when the host prefix is a Windows path
+ */
+function joinHostPath(hostPrefix: string, segments: string[]): string {
+	if (WINDOWS_PATH.test(hostPrefix)) {
+		return path.win32.join(hostPrefix, ...segments);
+	}
+	return path.posix.join(hostPrefix, ...segments);
+}
+
+/**
+ * Rewrites a path using the longest matching prefix from the mappings
+ * @param root - Absolute path as seen by the dev server
+ * @param mappings - Prefix mappings to apply
+ * @returns The mapped path, or null if no prefix matches
+ */
+function applyPathMappings(
+	root: string,
+	mappings: PathMappings,
+): string | null {
+	const prefixes = Object.keys(mappings).sort((a, b) => b.length - a.length);
+
+	for (const prefix of prefixes) {
+		const normalizedPrefix = path.posix.normalize(prefix).replace(/\/$/, "");
+		if (root !== normalizedPrefix && !root.startsWith(`${normalizedPrefix}/`)) {
+			continue;
+		}
+		const remainder = root.slice(normalizedPrefix.length);
+		const segments = remainder.split("/").filter(Boolean);
+		return joinHostPath(mappings[prefix], segments);
+	}
+
+	return null;
+}
+
+/**
+ * Detects whether the process runs inside the Windows Subsystem for Linux
+ */
+function isWsl(env: NodeJS.ProcessEnv): boolean {
+	if (process.platform !== "linux") {
+		return false;
+	}
+	if (env.WSL_DISTRO_NAME || env.WSL_INTEROP) {
+		return true;
+	}
+	try {
+		return /microsoft/i.test(fs.readFileSync("/proc/version", "utf-8"));
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Maps a WSL path to the path Windows sees: `/mnt/c/...` becomes `C:\...`,
+ * and paths inside the Linux filesystem go through the `\\wsl.localhost` share
+ */
+function mapWslPath(root: string, env: NodeJS.ProcessEnv): string | null {
+	const drive = /^\/mnt\/([a-zA-Z])(?:\/|$)/.exec(root);
+	if (drive) {
+		const segments = root.slice(drive[0].length).split("/").filter(Boolean);
+		return path.win32.join(`${drive[1].toUpperCase()}:\\`, ...segments);
+	}
+
+	if (env.WSL_DISTRO_NAME) {
+		const segments = root.split("/").filter(Boolean);
+		return path.win32.join(
+			`\\\\wsl.localhost\\${env.WSL_DISTRO_NAME}\\`,
+			...segments,
+		);
+	}
+
+	return null;
+}
+
+/**
+ * Maps a devcontainer workspace (`/workspaces/<name>`) to the host folder
+ * named by LOCAL_WORKSPACE_FOLDER, which devcontainer.json can forward with
+ * `"containerEnv": { "LOCAL_WORKSPACE_FOLDER": "${localWorkspaceFolder}" }`
+ */
+function mapDevcontainerPath(
+	root: string,
+	env: NodeJS.ProcessEnv,
+): string | null {
+	const workspace = /^\/workspaces\/[^/]+/.exec(root);
+	if (!workspace || !env.LOCAL_WORKSPACE_FOLDER) {
+		return null;
+	}
+	return applyPathMappings(root, {
+		[workspace[0]]: env.LOCAL_WORKSPACE_FOLDER,
+	});
+}
+
+/**
+ * Translates the workspace root into the path Chrome sees on the host
+ * @param root - Absolute workspace root as seen by the dev server
+ * @param option - Explicit mappings, "auto" to detect WSL and devcontainers,
+ * or false to report the root unchanged
+ * @param env - Environment used for detection
+ * @returns The host path and how it was derived
+ */
+function mapWorkspacePath(
+	root: string,
+	option: PathMappingOption = "auto",
+	env: NodeJS.ProcessEnv = process.env,
+): MappedPath {
+	if (option === false) {
+		return { path: root, source: "none" };
+	}
+
+	if (option !== "auto") {
+		const mapped = applyPathMappings(root, option);
+		return mapped
+			? { path: mapped, source: "mapping" }
+			: { path: root, source: "none" };
+	}
+
+	const devcontainerPath = mapDevcontainerPath(root, env);
+	if (devcontainerPath) {
+		return { path: devcontainerPath, source: "devcontainer" };
+	}
+
+	if (isWsl(env)) {
+		const wslPath = mapWslPath(root, env);
+		if (wslPath) {
+			return { path: wslPath, source: "wsl" };
+		}
+	}
+
+	return { path: root, source: "none" };
+}
+
+export {
+	mapWorkspacePath,
+	applyPathMappings,
+	type PathMappings,
+	type PathMappingOption,
+	type MappedPath,
+};
@@ -0,0 +1,326 @@
+import type { FileSystemError } from "./errors";
+import { type Result, ok, err, tryCatch } from "./result";
+
+/**
+ * Registry entry describing the process that owns the devtools server
+ */
+interface RegistryEntry {
+	readonly pid: number;
+	/** Bound port, or null while the owner is still starting */
+	readonly port: number | null;
+	/**
+	 * Set while the port is only reserved: next.config picked it for the
+	 * rewrites in instrumentation mode, and register() has yet to bind it
+	 */
+	readonly reserved?: boolean;
+	/** Workspace served by the owner, recorded with the port */
+	readonly workspace?: RegisteredWorkspace;
+	readonly instanceId: string;
+	/** Identifies the plugin configuration the server was started with */
+	readonly configKey: string;
+	readonly startedAt: string;
+}
+
+interface RegisteredWorkspace {
+	readonly uuid: string;
+	readonly root: string;
+}
+
+type AcquireResult =
+	| { readonly type: "owner" }
+	| { readonly type: "existing"; readonly entry: RegistryEntry };
+
+const MAX_CLAIM_ATTEMPTS = 3;
+
+const LIVE_INSTANCES_KEY = Symbol.for("next-plugin-devtools-json.instances");
+
+/**
+ * Ids of the instances that own a registry in this process. Kept on
+ * globalThis so every copy of the plugin loaded into the process, such as
+ * next.config's and the instrumentation bundle's, shares the same set.
+ */
+function liveInstances(): Set<string> {
+	const scope = globalThis as { [LIVE_INSTANCES_KEY]?: Set<string> };
+	scope[LIVE_INSTANCES_KEY] ??= new Set();
+	return scope[LIVE_INSTANCES_KEY];
+}
+
+/**
+ * Cross-process registry that lets every Next.js process loading next.config
+ * share a single devtools server. The owner is recorded in a JSON file under
+ * `.next/cache`; entries left behind by dead processes are reclaimed.
+ */
+class ServerRegistry {
+	constructor(
+		private readonly fs: typeof import("node:fs"),
+		private readonly path: typeof import("node:path"),
+		private readonly registryPath: string,
+	) {}
+
+	/**
+	 * Claims the registry for this process or returns the live owner's entry
+	 * @param instanceId - Unique id of the claiming server instance
+	 * @param configKey - Fingerprint of the configuration being started
+	 * @returns Result with "owner" if the claim succeeded, the existing entry
+	 * if another live process owns the server, or a FileSystemError
+	 */
+	acquire(
+		instanceId: string,
+		configKey: string,
+	): Result<AcquireResult, FileSystemError> {
+		const entry: RegistryEntry = {
+			pid: process.pid,
+			port: null,
+			instanceId,
+			configKey,
+			startedAt: new Date().toISOString(),
+		};
+
+		for (let attempt = 0; attempt < MAX_CLAIM_ATTEMPTS; attempt++) {
+			const claimed = this.tryClaim(entry);
+			if (claimed.isErr()) {
+				return err(claimed.unwrapErr());
+			}
+			if (claimed.unwrap()) {
+				liveInstances().add(instanceId);
+				return ok({ type: "owner" });
+			}
+
+			const existing = this.read();
+			if (existing && this.isAlive(existing)) {
+				return ok({ type: "existing", entry: existing });
+			}
+
+			// Stale or unreadable entry: reclaim it and try again. Another
+			// process may have reclaimed it first, so only that entry goes.
+			this.removeIfHeldBy(existing?.instanceId ?? null);
+		}
+
+		return err({
+			_tag: "FileSystemError",
+			path: this.registryPath,
+			operation: "write",
+			cause: new Error(
+				`Could not claim devtools server registry after ${MAX_CLAIM_ATTEMPTS} attempts`,
+			),
+		});
+	}
+
+	/**
+	 * Records the bound port for the entry owned by this instance
+	 * @param instanceId - Id the registry was acquired with
+	 * @param port - Port the server is listening on
+	 * @param workspace - UUID and root the server reports, for processes
+	 * that reuse it
+	 * @returns Result with void or FileSystemError
+	 */
+	publish(
+		instanceId: string,
+		port: number,
+		workspace?: RegisteredWorkspace,
+	): Result<void, FileSystemError> {
+		const current = this.read();
+		if (!current || current.instanceId !== instanceId) {
+			return ok(undefined);
+		}
+
+		return this.write({ ...current, port, workspace, reserved: undefined });
+	}
+
+	/**
+	 * Records a port reserved for a server that another instance will start
+	 * @param instanceId - Id the registry was acquired with
+	 * @param port - Port the rewrites proxy to
+	 * @returns Result with void or FileSystemError
+	 */
+	reserve(instanceId: string, port: number): Result<void, FileSystemError> {
+		const current = this.read();
+		if (!current || current.instanceId !== instanceId) {
+			return ok(undefined);
+		}
+
+		return this.write({ ...current, port, reserved: true });
+	}
+
+	/**
+	 * Hands a reserved entry to the instance that will bind its port
+	 * @param fromInstanceId - Id of the instance that reserved the port
+	 * @param toInstanceId - Id of the instance taking over
+	 * @returns Result with true if the entry was taken over, false if it is
+	 * no longer held by `fromInstanceId`, or a FileSystemError
+	 */
+	transfer(
+		fromInstanceId: string,
+		toInstanceId: string,
+	): Result<boolean, FileSystemError> {
+		const current = this.read();
+		if (!current || current.instanceId !== fromInstanceId) {
+			return ok(false);
+		}
+
+		liveInstances().delete(fromInstanceId);
+		liveInstances().add(toInstanceId);
+		return this.write({
+			...current,
+			pid: process.pid,
+			instanceId: toInstanceId,
+		}).map(() => true);
+	}
+
+	/**
+	 * Removes the registry entry if it belongs to this instance
+	 * @param instanceId - Id the registry was acquired with
+	 */
+	release(instanceId: string): void {
+		liveInstances().delete(instanceId);
+		this.removeIfHeldBy(instanceId);
+	}
+
+	/**
+	 * Reads the current registry entry
+	 * @returns The entry, or null if the file is missing or malformed
+	 */
+	read(): RegistryEntry | null {
+		return this.readFrom(this.registryPath);
+	}
+
+	/**
+	 * Checks whether the process that wrote an entry is still running. An
+	 * entry with this process's pid but an instance it does not own was
+	 * written by an earlier process that had the same pid, as happens with
+	 * pid 1 in containers.
+	 * @param entry - The entry to check
+	 * @returns true if the owner is running
+	 */
+	isAlive(entry: RegistryEntry): boolean {
+		if (entry.pid === process.pid) {
+			return liveInstances().has(entry.instanceId);
+		}
+		try {
+			process.kill(entry.pid, 0);
+			return true;
+		} catch (error) {
+			// EPERM means the process exists but belongs to another user
+			return (error as NodeJS.ErrnoException).code === "EPERM";
+		}
+	}
+
+	/**
+	 * Creates the registry file only if it does not exist yet. The entry is
+	 * written to a temp file first and hard-linked into place, so readers
+	 * never observe a partially written file.
+	 */
+	private tryClaim(entry: RegistryEntry): Result<boolean, FileSystemError> {
+		const tempPath = this.tempPath();
+
+		return tryCatch(
+			() => {
+				this.fs.mkdirSync(this.path.dirname(this.registryPath), {
+					recursive: true,
+				});
+				this.fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2), {
+					encoding: "utf-8",
+				});
+				try {
+					this.fs.linkSync(tempPath, this.registryPath);
+					return true;
+				} catch (error) {
+					if ((error as NodeJS.ErrnoException).code === "EEXIST") {
+						return false;
+					}
+					throw error;
+				} finally {
+					this.fs.rmSync(tempPath, { force: true });
+				}
+			},
+			(error) => ({
+				_tag: "FileSystemError" as const,
+				path: this.registryPath,
+				operation: "write" as const,
+				cause: error as Error,
+			}),
+		);
+	}
+
+	/**
+	 * Reads an entry from the registry file or a copy moved aside
+	 */
+	private readFrom(filePath: string): RegistryEntry | null {
+		try {
+			const content = this.fs.readFileSync(filePath, {
+				encoding: "utf-8",
+			});
+			const entry = JSON.parse(content) as RegistryEntry;
+			if (
+				typeof entry?.pid !== "number" ||
+				typeof entry.instanceId !== "string"
+			) {
+				return null;
+			}
+			return entry;
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Replaces the registry file through a temp file, so readers never
+	 * observe a partially written entry
+	 */
+	private write(entry: RegistryEntry): Result<void, FileSystemError> {
+		return tryCatch(
+			() => {
+				const tempPath = this.tempPath();
+				this.fs.writeFileSync(tempPath, JSON.stringify(entry, null, 2), {
+					encoding: "utf-8",
+				});
+				this.fs.renameSync(tempPath, this.registryPath);
+			},
+			(error) => ({
+				_tag: "FileSystemError" as const,
+				path: this.registryPath,
+				operation: "write" as const,
+				cause: error as Error,
+			}),
+		);
+	}
+
+	/**
+	 * Removes the registry file if it still holds the given instance, or an
+	 * unreadable entry for null. The file is moved aside first, which only
+	 * one process can do, and linked back if another process replaced it
+	 * since the caller read it.
+	 */
+	private removeIfHeldBy(instanceId: string | null): void {
+		const asidePath = this.tempPath();
+		try {
+			this.fs.renameSync(this.registryPath, asidePath);
+		} catch {
+			// Already gone
+			return;
+		}
+
+		try {
+			const entry = this.readFrom(asidePath);
+			if ((entry?.instanceId ?? null) !== instanceId) {
+				this.fs.linkSync(asidePath, this.registryPath);
+			}
+		} catch {
+			// A third process claimed the registry in between; its entry wins
+		} finally {
+			this.fs.rmSync(asidePath, { force: true });
+		}
+	}
+
+	private tempPath(): string {
+		const suffix = Math.random().toString(36).slice(2, 10);
+		return `${this.registryPath}.${process.pid}.${suffix}.tmp`;
+	}
+}
+
+export {
+	ServerRegistry,
+	type RegistryEntry,
+	type RegisteredWorkspace,
+	type AcquireResult,
+};
@@ -0,0 +1,136 @@
+import fs from "node:fs";
+import path from "node:path";
+
+/**
+ * Resolves the workspace root from the directory Next.js was started in
+ */
+type RootResolver = (cwd: string) => string;
+
+/**
+ * Either "auto", an explicit path (relative paths resolve against the
+ * current working directory), or a resolver function
+ */
+type RootOption = "auto" | (string & {}) | RootResolver;
+
+type RootStrategy =
+	| "option"
+	| "resolver"
+	| "pnpm-workspace"
+	| "package-workspaces"
+	| "turbo"
+	| "nx"
+	| "git"
+	| "cwd";
+
+interface ResolvedRoot {
+	readonly path: string;
+	readonly strategy: RootStrategy;
+}
+
+type RootMarker = {
+	readonly strategy: Exclude<RootStrategy, "option" | "resolver" | "cwd">;
+	readonly matches: (dir: string) => boolean;
+};
+
+/**
+ * Checks whether a package.json in the directory declares workspaces
+ * @param dir - Directory to inspect
+ * @returns true if the package.json has a `workspaces` field
+ */
+function hasPackageWorkspaces(dir: string): boolean {
+	const packageJsonPath = path.join(dir, "package.json");
+	if (!fs.existsSync(packageJsonPath)) {
+		return false;
+	}
+	try {
+		const packageJson = JSON.parse(
+			fs.readFileSync(packageJsonPath, { encoding: "utf-8" }),
+		);
+		return Boolean(packageJson?.workspaces);
+	} catch {
+		return false;
+	}
+}
+
+// Ordered by precedence when several markers live in the same directory
+const ROOT_MARKERS: ReadonlyArray<RootMarker> = [
+	{
+		strategy: "pnpm-workspace",
+		matches: (dir) => fs.existsSync(path.join(dir, "pnpm-workspace.yaml")),
+	},
+	{ strategy: "package-workspaces", matches: hasPackageWorkspaces },
+	{
+		strategy: "turbo",
+		matches: (dir) => fs.existsSync(path.join(dir, "turbo.json")),
+	},
+	{
+		strategy: "nx",
+		matches: (dir) => fs.existsSync(path.join(dir, "nx.json")),
+	},
+	{
+		strategy: "git",
+		matches: (dir) => fs.existsSync(path.join(dir, ".git")),
+	},
+];
+
+/**
+ * Walks up from the starting directory and returns the first directory
+ * containing a monorepo or repository marker
+ * @param startDir - Directory to start searching from
+ * @returns The detected root and the marker that identified it, or the
+ * starting directory with the "cwd" strategy if no marker is found
+ */
+function detectWorkspaceRoot(startDir: string): ResolvedRoot {
+	let currentDir = path.resolve(startDir);
+
+	while (true) {
+		for (const marker of ROOT_MARKERS) {
+			if (marker.matches(currentDir)) {
+				return { path: currentDir, strategy: marker.strategy };
+			}
+		}
+
+		const parentDir = path.dirname(currentDir);
+		if (parentDir === currentDir) {
+			return { path: path.resolve(startDir), strategy: "cwd" };
+		}
+		currentDir = parentDir;
+	}
+}
+
+/**
+ * Resolves the workspace root reported to Chrome DevTools
+ * @param option - The `root` plugin option
+ * @param cwd - The directory Next.js was started in
+ * @returns The absolute workspace root and the strategy used to find it
+ * @throws If a resolver function throws or returns a non-string value
+ */
+function resolveWorkspaceRoot(
+	option: RootOption | undefined,
+	cwd: string,
+): ResolvedRoot {
+	if (typeof option === "function") {
+		const resolved = option(cwd);
+		if (typeof resolved !== "string" || resolved.length === 0) {
+			throw new Error(
+				`Root resolver must return a non-empty path, received: ${String(resolved)}`,
+			);
+		}
+		return { path: path.resolve(cwd, resolved), strategy: "resolver" };
+	}
+
+	if (option === undefined || option === "auto") {
+		return detectWorkspaceRoot(cwd);
+	}
+
+	return { path: path.resolve(cwd, option), strategy: "option" };
+}
+
+export {
+	resolveWorkspaceRoot,
+	detectWorkspaceRoot,
+	type RootOption,
+	type RootResolver,
+	type RootStrategy,
+	type ResolvedRoot,
+};
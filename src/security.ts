@@ -0,0 +1,262 @@
+import type http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { createDebug } from "./debug";
+import type { FileSystemError } from "./errors";
+import { type Result, ok, tryCatch } from "./result";
+
+const debug = createDebug("security");
+
+interface SecurityConfig {
+	/** Host header values accepted by the server (ports are ignored) */
+	readonly allowedHosts: ReadonlyArray<string>;
+	/** Origins allowed to read responses cross-origin, or "*" for any */
+	readonly allowedOrigins: ReadonlyArray<string> | "*";
+	/** Shared secret that requests must present, if set */
+	readonly token?: string;
+}
+
+type SecurityCheck =
+	| { readonly allowed: true; readonly corsOrigin?: string }
+	| {
+			readonly allowed: false;
+			readonly status: number;
+			readonly reason: string;
+	  };
+
+const TOKEN_HEADER = "x-devtools-json-token";
+// Next.js rewrites cannot set request headers, so they carry the token here
+const TOKEN_QUERY_PARAM = "__devtools_token";
+const TOKEN_FILE_NAME = "devtools-json-token";
+
+const LOOPBACK_HOSTS: ReadonlyArray<string> = ["localhost", "127.0.0.1", "::1"];
+const WILDCARD_HOSTS: ReadonlyArray<string> = ["0.0.0.0", "::"];
+
+/**
+ * Strips the port and IPv6 brackets from a Host header value
+ * @param hostHeader - Raw Host header, e.g. "localhost:3001" or "[::1]:3001"
+ * @returns The lowercase hostname
+ */
+function parseHostname(hostHeader: string): string {
+	const host = hostHeader.trim().toLowerCase();
+	if (host.startsWith("[")) {
+		return host.slice(1, host.indexOf("]"));
+	}
+	const colon = host.indexOf(":");
+	return colon === -1 ? host : host.slice(0, colon);
+}
+
+/**
+ * Checks a hostname against the allowlist. Entries starting with a dot also
+ * match any subdomain, e.g. ".docker.internal".
+ */
+function isAllowedHost(
+	hostname: string,
+	allowedHosts: ReadonlyArray<string>,
+): boolean {
+	return allowedHosts.some((entry) => {
+		const allowed = entry.toLowerCase();
+		if (allowed.startsWith(".")) {
+			return hostname === allowed.slice(1) || hostname.endsWith(allowed);
+		}
+		return hostname === allowed;
+	});
+}
+
+function tokensMatch(received: string, expected: string): boolean {
+	const a = Buffer.from(received);
+	const b = Buffer.from(expected);
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Validates the Host header, Origin and shared token of an incoming request.
+ * The Host check defeats DNS rebinding: a page on an attacker's domain that
+ * resolves to this machine still sends its own hostname.
+ * @param req - The incoming request
+ * @param requestUrl - The parsed request URL
+ * @param config - Security settings
+ * @returns Whether the request may proceed and the CORS origin to echo
+ */
+function checkRequest(
+	req: Pick<http.IncomingMessage, "headers">,
+	requestUrl: URL,
+	config: SecurityConfig,
+): SecurityCheck {
+	const hostHeader = req.headers.host;
+	if (
+		!hostHeader ||
+		!isAllowedHost(parseHostname(hostHeader), config.allowedHosts)
+	) {
+		return {
+			allowed: false,
+			status: 403,
+			reason: `Host not allowed: ${hostHeader ?? "(none)"}`,
+		};
+	}
+
+	if (config.token) {
+		const header = req.headers[TOKEN_HEADER];
+		const received =
+			(Array.isArray(header) ? header[0] : header) ??
+			requestUrl.searchParams.get(TOKEN_QUERY_PARAM) ??
+			"";
+		if (!tokensMatch(received, config.token)) {
+			return {
+				allowed: false,
+				status: 401,
+				reason: "Invalid or missing token",
+			};
+		}
+	}
+
+	const origin = req.headers.origin;
+	if (!origin) {
+		return { allowed: true };
+	}
+	if (config.allowedOrigins === "*") {
+		return { allowed: true, corsOrigin: "*" };
+	}
+	if (config.allowedOrigins.includes(origin)) {
+		return { allowed: true, corsOrigin: origin };
+	}
+	return {
+		allowed: false,
+		status: 403,
+		reason: `Origin not allowed: ${origin}`,
+	};
+}
+
+/**
+ * Builds the default Host allowlist: loopback names plus the bind host when
+ * it is a specific address rather than a wildcard
+ * @param host - The host the server binds to
+ * @param extraHosts - Additional hosts from the allowedHosts option
+ */
+function defaultAllowedHosts(
+	host: string,
+	extraHosts: ReadonlyArray<string> = [],
+): ReadonlyArray<string> {
+	const hosts = new Set([...LOOPBACK_HOSTS, ...extraHosts]);
+	if (!WILDCARD_HOSTS.includes(host)) {
+		hosts.add(parseHostname(host.includes(":") ? `[${host}]` : host));
+	}
+	return [...hosts];
+}
+
+/**
+ * Reads the origin of the Next.js app. Its server process sets
+ * __NEXT_PRIVATE_ORIGIN and PORT once it listens, before loading next.config.
+ * The `next dev` CLI process loads next.config too but knows neither, so
+ * `next dev -p 3456` leaves the origin unknown there unless PORT is set.
+ * @param env - Environment to read
+ * @returns The origin, or null when it is not known
+ */
+function nextAppOrigin(env: NodeJS.ProcessEnv = process.env): string | null {
+	if (env.__NEXT_PRIVATE_ORIGIN) {
+		return env.__NEXT_PRIVATE_ORIGIN;
+	}
+	return env.PORT ? `http://localhost:${env.PORT}` : null;
+}
+
+/**
+ * Builds the default CORS allowlist: the Next.js app's origin, when known,
+ * and its 127.0.0.1 twin for a localhost origin. It is empty otherwise, so
+ * cross-origin reads need an explicit allowedOrigins option.
+ * @param env - Environment used to find the app's origin
+ */
+function defaultAllowedOrigins(
+	env: NodeJS.ProcessEnv = process.env,
+): ReadonlyArray<string> {
+	const origin = nextAppOrigin(env);
+	if (!origin) {
+		return [];
+	}
+	const { protocol, hostname, port } = new URL(origin);
+	return hostname === "localhost"
+		? [origin, `${protocol}//127.0.0.1${port ? `:${port}` : ""}`]
+		: [origin];
+}
+
+/**
+ * Returns the host the rewrites should connect to for a given bind host
+ * @param host - The host the server binds to
+ * @returns A host usable in an http:// URL
+ */
+function connectHost(host: string): string {
+	if (WILDCARD_HOSTS.includes(host)) {
+		return "localhost";
+	}
+	return host.includes(":") ? `[${host}]` : host;
+}
+
+/**
+ * Reads the project's shared token from `.next/cache`, creating it on first
+ * use so every Next.js process of the project agrees on the same value. The
+ * token is written to a temp file and hard-linked into place, so no process
+ * ever reads a partially written token.
+ * @param projectRoot - The Next.js project directory
+ * @returns Result with the token, or a FileSystemError if the token file
+ * exists but is empty or cannot be read
+ */
+function getOrCreateSharedToken(
+	projectRoot: string,
+): Result<string, FileSystemError> {
+	const tokenPath = path.resolve(
+		projectRoot,
+		".next",
+		"cache",
+		TOKEN_FILE_NAME,
+	);
+	const suffix = crypto.randomBytes(4).toString("hex");
+	const tempPath = `${tokenPath}.${process.pid}.${suffix}.tmp`;
+
+	try {
+		fs.mkdirSync(path.dirname(tokenPath), { recursive: true });
+		fs.writeFileSync(tempPath, crypto.randomBytes(24).toString("hex"), {
+			encoding: "utf-8",
+			mode: 0o600,
+		});
+		fs.linkSync(tempPath, tokenPath);
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code !== "EEXIST") {
+			debug(
+				"Failed to persist shared token, using a per-process token:",
+				error,
+			);
+			return ok(crypto.randomBytes(24).toString("hex"));
+		}
+	} finally {
+		fs.rmSync(tempPath, { force: true });
+	}
+
+	return tryCatch(
+		() => {
+			const token = fs.readFileSync(tokenPath, { encoding: "utf-8" }).trim();
+			if (!token) {
+				throw new Error("The shared token file is empty");
+			}
+			return token;
+		},
+		(error) => ({
+			_tag: "FileSystemError" as const,
+			path: tokenPath,
+			operation: "read" as const,
+			cause: error as Error,
+		}),
+	);
+}
+
+export {
+	checkRequest,
+	connectHost,
+	defaultAllowedHosts,
+	defaultAllowedOrigins,
+	getOrCreateSharedToken,
+	nextAppOrigin,
+	TOKEN_HEADER,
+	TOKEN_QUERY_PARAM,
+	type SecurityConfig,
+	type SecurityCheck,
+};
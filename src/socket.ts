@@ -0,0 +1,87 @@
+import http from "node:http";
+import net from "node:net";
+import fs from "node:fs";
+import path from "node:path";
+import type { ServerError } from "./errors";
+import { type Result, ok, err } from "./result";
+
+/**
+ * Checks whether something is accepting connections on a Unix socket
+ * @param socketPath - Path of the socket file
+ * @returns Promise resolving to true if a server answered
+ */
+function isSocketInUse(socketPath: string): Promise<boolean> {
+	return new Promise((resolve) => {
+		const socket = net.connect({ path: socketPath });
+		socket.once("connect", () => {
+			socket.destroy();
+			resolve(true);
+		});
+		socket.once("error", () => resolve(false));
+	});
+}
+
+/**
+ * Listens on a Unix domain socket, removing a stale socket file left behind
+ * by a process that exited without closing its server
+ * @param server - The HTTP server to bind
+ * @param socketPath - Path of the socket file
+ * @returns Promise resolving to Result with void or ServerError
+ */
+async function listenOnSocket(
+	server: http.Server,
+	socketPath: string,
+): Promise<Result<void, ServerError>> {
+	if (fs.existsSync(socketPath)) {
+		if (await isSocketInUse(socketPath)) {
+			return err({
+				_tag: "ServerError",
+				operation: "listen",
+				cause: new Error(`EADDRINUSE: socket ${socketPath} is in use`),
+			});
+		}
+		fs.rmSync(socketPath, { force: true });
+	} else {
+		fs.mkdirSync(path.dirname(socketPath), { recursive: true });
+	}
+
+	return new Promise((resolve) => {
+		server.once("error", (error: NodeJS.ErrnoException) => {
+			resolve(err({ _tag: "ServerError", operation: "listen", cause: error }));
+		});
+		server.listen(socketPath, () => resolve(ok(undefined)));
+	});
+}
+
+/**
+ * Creates an HTTP server that forwards every request to a Unix socket.
+ * Next.js rewrites can only target http:// URLs, so the bridge gives the
+ * socket server a loopback address the rewrites can proxy to.
+ * @param socketPath - Path of the socket to forward to
+ * @returns The bridge server, not yet listening
+ */
+function createSocketBridge(socketPath: string): http.Server {
+	return http.createServer((req, res) => {
+		const upstream = http.request(
+			{
+				socketPath,
+				path: req.url,
+				method: req.method,
+				headers: req.headers,
+			},
+			(upstreamRes) => {
+				res.writeHead(upstreamRes.statusCode ?? 502, upstreamRes.headers);
+				upstreamRes.pipe(res);
+			},
+		);
+
+		upstream.on("error", () => {
+			res.statusCode = 502;
+			res.end("Bad Gateway");
+		});
+
+		req.pipe(upstream);
+	});
+}
+
+export { listenOnSocket, createSocketBridge };
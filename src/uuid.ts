@@ -0,0 +1,430 @@
+import crypto from "node:crypto";
+import os from "node:os";
+import { createDebug } from "./debug";
+import type { UUIDError } from "./errors";
+import { type Result, ok, err, tryCatch } from "./result";
+import { PLUGIN_VERSION } from "./version";
+
+const debug = createDebug("uuid");
+
+type UUIDStrategy = "random" | "deterministic";
+
+/**
+ * Where a generated UUID is persisted:
+ * - "next-cache": `.next/cache/devtools-uuid.json`, wiped by clean builds
+ * - "project": `.devtools/uuid` in the project, suitable for committing
+ * - "user": a per-user registry under `$XDG_CONFIG_HOME`, keyed by the real
+ *   path of the workspace root
+ */
+type UUIDStorage = "next-cache" | "project" | "user";
+
+/**
+ * Contents of a versioned UUID file
+ */
+interface UUIDRecord {
+	readonly version: typeof UUID_RECORD_VERSION;
+	readonly uuid: string;
+	/** Workspace root the UUID was created for */
+	readonly root: string;
+	readonly createdAt: string;
+	readonly pluginVersion: string;
+}
+
+interface UUIDLocation {
+	readonly path: string;
+	/** "record" files hold a UUIDRecord, "plain" files only the UUID */
+	readonly format: "record" | "plain";
+	readonly root: string;
+}
+
+const UUID_RECORD_VERSION = 1;
+
+// Only random (v4) and name-based (v5) UUIDs are ever generated or accepted
+const UUID_PATTERN =
+	/^[0-9a-f]{8}-[0-9a-f]{4}-[45][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+interface UUIDStorageOptions {
+	readonly storage?: UUIDStorage;
+	/** Resolved workspace root, used to key the user-level registry */
+	readonly workspaceRoot?: string;
+	readonly env?: NodeJS.ProcessEnv;
+}
+
+// Namespace for name-based workspace UUIDs; changing it changes every derived id
+const WORKSPACE_NAMESPACE = "5b8b2f6e-6d1c-4c55-9a8a-2f3e1d7c9b40";
+
+/**
+ * Creates a name-based UUID (RFC 4122 version 5, SHA-1) in the plugin's namespace
+ * @param name - The name to derive the UUID from
+ * @returns The UUID string
+ */
+function createNameBasedUUID(name: string): string {
+	const namespace = Buffer.from(WORKSPACE_NAMESPACE.replace(/-/g, ""), "hex");
+	const hash = crypto
+		.createHash("sha1")
+		.update(namespace)
+		.update(name, "utf-8")
+		.digest();
+
+	hash[6] = (hash[6] & 0x0f) | 0x50;
+	hash[8] = (hash[8] & 0x3f) | 0x80;
+
+	const hex = hash.subarray(0, 16).toString("hex");
+	return [
+		hex.slice(0, 8),
+		hex.slice(8, 12),
+		hex.slice(12, 16),
+		hex.slice(16, 20),
+		hex.slice(20, 32),
+	].join("-");
+}
+
+class UUIDManager {
+	constructor(
+		private readonly fs: typeof import("node:fs"),
+		private readonly path: typeof import("node:path"),
+		private readonly crypto: typeof import("node:crypto"),
+	) {}
+
+	/**
+	 * Derives a stable name-based (version 5) UUID from the workspace root, so
+	 * every checkout at the same path gets the same id without a cache file
+	 * @param workspaceRoot - The resolved workspace root
+	 * @param salt - Optional salt to derive a different id for the same path
+	 * @returns Result containing the UUID string or a UUIDError
+	 */
+	deriveFromRoot(workspaceRoot: string, salt = ""): Result<string, UUIDError> {
+		return tryCatch(
+			() => createNameBasedUUID(`${workspaceRoot}${salt ? `#${salt}` : ""}`),
+			(error) => ({
+				_tag: "UUIDError" as const,
+				operation: "generate" as const,
+				cause: error as Error,
+			}),
+		).tap((uuid) => {
+			debug(`Derived UUID ${uuid} from ${workspaceRoot}`);
+		});
+	}
+
+	/**
+	 * Gets an existing UUID or creates a new one for the project
+	 * @param projectRoot - The root directory of the project
+	 * @param providedUuid - Optional UUID to use instead of generating/reading one
+	 * @param options - Storage backend and the workspace root it is keyed by
+	 * @returns Result containing the UUID string or a UUIDError
+	 */
+	getOrCreate(
+		projectRoot: string,
+		providedUuid?: string,
+		options: UUIDStorageOptions = {},
+	): Result<string, UUIDError> {
+		if (providedUuid) {
+			debug("Using the UUID from the uuid option");
+			return this.validate(providedUuid);
+		}
+
+		const storage = options.storage ?? "next-cache";
+		const location = this.locate(storage, projectRoot, options);
+
+		const existingStat = this.stat(location.path);
+		const existingUuid = this.read(location);
+		if (existingUuid.isOk()) {
+			debug(`Read UUID ${existingUuid.unwrap()} from ${location.path}`);
+			return existingUuid;
+		}
+		debug(
+			`No usable UUID in ${location.path}: ${existingUuid.unwrapErr().cause?.message}`,
+		);
+
+		// An unusable file must go before a new one can be linked in its place
+		if (existingStat) {
+			this.discardIfUnchanged(location.path, existingStat);
+		}
+
+		// Keep the UUID Chrome already knows when moving off the .next cache
+		if (storage !== "next-cache") {
+			const cachedUuid = this.read(
+				this.locate("next-cache", projectRoot, options),
+			);
+			if (cachedUuid.isOk()) {
+				debug(`Migrating UUID from the .next cache to ${location.path}`);
+				return this.create(location, cachedUuid.unwrap());
+			}
+		}
+
+		debug(`Creating a new UUID in ${location.path} (storage: ${storage})`);
+		return this.create(location, this.crypto.randomUUID());
+	}
+
+	/**
+	 * Resolves the file, format and recorded root for a storage backend
+	 */
+	private locate(
+		storage: UUIDStorage,
+		projectRoot: string,
+		options: UUIDStorageOptions,
+	): UUIDLocation {
+		const workspaceRoot = options.workspaceRoot ?? projectRoot;
+
+		if (storage === "next-cache") {
+			return {
+				path: this.path.resolve(
+					projectRoot,
+					".next",
+					"cache",
+					"devtools-uuid.json",
+				),
+				format: "record",
+				root: workspaceRoot,
+			};
+		}
+
+		if (storage === "project") {
+			// Plain text without a root, so teammates can share a committed file
+			return {
+				path: this.path.resolve(projectRoot, ".devtools", "uuid"),
+				format: "plain",
+				root: workspaceRoot,
+			};
+		}
+
+		const env = options.env ?? process.env;
+		const configHome =
+			env.XDG_CONFIG_HOME ||
+			(process.platform === "win32" && env.APPDATA) ||
+			this.path.join(os.homedir(), ".config");
+
+		let realRoot = workspaceRoot;
+		try {
+			realRoot = this.fs.realpathSync(workspaceRoot);
+		} catch {
+			// Fall back to the unresolved path if the root cannot be resolved
+		}
+
+		const key = this.crypto
+			.createHash("sha256")
+			.update(realRoot)
+			.digest("hex")
+			.slice(0, 32);
+		return {
+			path: this.path.resolve(
+				configHome,
+				"next-plugin-devtools-json",
+				"workspaces",
+				`${key}.json`,
+			),
+			format: "record",
+			root: realRoot,
+		};
+	}
+
+	private validate(uuid: string): Result<string, UUIDError> {
+		if (UUID_PATTERN.test(uuid)) {
+			return ok(uuid);
+		}
+		return err({
+			_tag: "UUIDError",
+			operation: "validate",
+			cause: new Error(`Invalid UUID format: ${uuid}`),
+		});
+	}
+
+	/**
+	 * Reads a stored UUID. Legacy plain-text files in a record location are
+	 * upgraded in place; records created for a different root are rejected so
+	 * a copied project does not share its UUID with the original.
+	 */
+	private read(location: UUIDLocation): Result<string, UUIDError> {
+		return tryCatch(
+			() => {
+				if (!this.fs.existsSync(location.path)) {
+					throw new Error("UUID file does not exist");
+				}
+				return this.fs
+					.readFileSync(location.path, { encoding: "utf-8" })
+					.trim();
+			},
+			(error) => ({
+				_tag: "UUIDError" as const,
+				operation: "read" as const,
+				path: location.path,
+				cause: error as Error,
+			}),
+		).andThen((content) => {
+			if (location.format === "plain" || !content.startsWith("{")) {
+				return this.validate(content).andThen((uuid) =>
+					location.format === "record"
+						? this.replace(location, uuid)
+						: ok(uuid),
+				);
+			}
+			return this.parseRecord(content, location);
+		});
+	}
+
+	private parseRecord(
+		content: string,
+		location: UUIDLocation,
+	): Result<string, UUIDError> {
+		const record = tryCatch(
+			() => JSON.parse(content) as Partial<UUIDRecord>,
+			(error) => ({
+				_tag: "UUIDError" as const,
+				operation: "read" as const,
+				path: location.path,
+				cause: error as Error,
+			}),
+		);
+		if (record.isErr()) {
+			return err(record.unwrapErr());
+		}
+
+		const { uuid, root } = record.unwrap();
+		if (typeof uuid !== "string") {
+			return err({
+				_tag: "UUIDError",
+				operation: "read",
+				path: location.path,
+				cause: new Error("UUID record has no uuid field"),
+			});
+		}
+
+		if (root !== undefined && root !== location.root) {
+			console.warn(
+				`[next-plugin-devtools-json] The UUID in ${location.path} was created for ${root}, but the workspace root is now ${location.root} (was the project copied or the root option changed?). Generating a new UUID so Chrome DevTools treats it as a separate workspace.`,
+			);
+			return err({
+				_tag: "UUIDError",
+				operation: "validate",
+				path: location.path,
+				cause: new Error(`UUID was recorded for a different root: ${root}`),
+			});
+		}
+
+		return this.validate(uuid);
+	}
+
+	/**
+	 * Creates the UUID file only if no other process has created it yet. The
+	 * content is written to a temp file and hard-linked into place, which
+	 * fails with EEXIST instead of overwriting; the loser then reads the
+	 * winner's UUID so every process agrees on one value.
+	 */
+	private create(
+		location: UUIDLocation,
+		uuid: string,
+	): Result<string, UUIDError> {
+		return tryCatch(
+			() => {
+				const tempPath = this.writeTemp(location, uuid);
+				try {
+					this.fs.linkSync(tempPath, location.path);
+					return true;
+				} catch (error) {
+					if ((error as NodeJS.ErrnoException).code === "EEXIST") {
+						return false;
+					}
+					throw error;
+				} finally {
+					this.fs.rmSync(tempPath, { force: true });
+				}
+			},
+			(error) => ({
+				_tag: "UUIDError" as const,
+				operation: "write" as const,
+				path: location.path,
+				cause: error as Error,
+			}),
+		).andThen((created) => {
+			if (created) {
+				return ok(uuid);
+			}
+			debug(`Another process created ${location.path}, using its UUID`);
+			return this.read(location);
+		});
+	}
+
+	/**
+	 * Atomically rewrites the UUID file, used to upgrade legacy files in place
+	 */
+	private replace(
+		location: UUIDLocation,
+		uuid: string,
+	): Result<string, UUIDError> {
+		return tryCatch(
+			() => {
+				this.fs.renameSync(this.writeTemp(location, uuid), location.path);
+				return uuid;
+			},
+			(error) => ({
+				_tag: "UUIDError" as const,
+				operation: "write" as const,
+				path: location.path,
+				cause: error as Error,
+			}),
+		);
+	}
+
+	private writeTemp(location: UUIDLocation, uuid: string): string {
+		const dir = this.path.dirname(location.path);
+		if (!this.fs.existsSync(dir)) {
+			this.fs.mkdirSync(dir, { recursive: true });
+		}
+		const suffix = this.crypto.randomBytes(6).toString("hex");
+		const tempPath = `${location.path}.${process.pid}.${suffix}.tmp`;
+		this.fs.writeFileSync(tempPath, this.serialize(location, uuid), {
+			encoding: "utf-8",
+		});
+		return tempPath;
+	}
+
+	private stat(filePath: string): import("node:fs").Stats | null {
+		try {
+			return this.fs.statSync(filePath);
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Removes an unusable UUID file, unless another process has replaced it
+	 * since it was read
+	 */
+	private discardIfUnchanged(
+		filePath: string,
+		previous: import("node:fs").Stats,
+	): void {
+		const current = this.stat(filePath);
+		if (
+			current &&
+			current.ino === previous.ino &&
+			current.mtimeMs === previous.mtimeMs
+		) {
+			this.fs.rmSync(filePath, { force: true });
+		}
+	}
+
+	private serialize(location: UUIDLocation, uuid: string): string {
+		if (location.format === "plain") {
+			return uuid;
+		}
+		const record: UUIDRecord = {
+			version: UUID_RECORD_VERSION,
+			uuid,
+			root: location.root,
+			createdAt: new Date().toISOString(),
+			pluginVersion: PLUGIN_VERSION,
+		};
+		return `${JSON.stringify(record, null, 2)}\n`;
+	}
+}
+
+export {
+	UUIDManager,
+	createNameBasedUUID,
+	UUID_PATTERN,
+	type UUIDStrategy,
+	type UUIDStorage,
+	type UUIDStorageOptions,
+	type UUIDRecord,
+};
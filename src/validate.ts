@@ -0,0 +1,361 @@
+import type { ConfigError } from "./errors";
+import type { DevToolsJSONOptions } from "./index";
+import { UUID_PATTERN } from "./uuid";
+
+type OptionCheck = (value: unknown, field: string) => ConfigError[];
+
+const MAX_PORT = 65535;
+
+function configError(
+	field: string,
+	received: unknown,
+	message: string,
+	hint?: string,
+): ConfigError {
+	return {
+		_tag: "ConfigError",
+		field,
+		message,
+		received,
+		...(hint ? { hint } : {}),
+	};
+}
+
+function isString(value: unknown): value is string {
+	return typeof value === "string";
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+	return (
+		typeof value === "object" &&
+		value !== null &&
+		!Array.isArray(value) &&
+		Object.getPrototypeOf(value) === Object.prototype
+	);
+}
+
+/**
+ * Builds a check that accepts values passing a type test
+ * @param test - Returns true for valid values
+ * @param expected - Description used in the error message
+ * @param hint - Suggested fix for a given invalid value
+ */
+function expectValue(
+	test: (value: unknown) => boolean,
+	expected: string,
+	hint?: (value: unknown) => string | undefined,
+): OptionCheck {
+	return (value, field) =>
+		test(value)
+			? []
+			: [configError(field, value, `Expected ${expected}`, hint?.(value))];
+}
+
+/**
+ * Builds a check for integers within an inclusive range. Numeric strings get
+ * a hint to drop the quotes, since environment variables often leak in as
+ * strings.
+ */
+function expectInteger(min: number, max: number, example: number): OptionCheck {
+	return expectValue(
+		(value) =>
+			typeof value === "number" &&
+			Number.isInteger(value) &&
+			value >= min &&
+			value <= max,
+		`an integer between ${min} and ${max}`,
+		(value) =>
+			isString(value) && /^\d+$/.test(value.trim())
+				? `Pass a number instead of a string: ${Number(value)}`
+				: `For example ${example}`,
+	);
+}
+
+function expectOneOf(values: ReadonlyArray<string>): OptionCheck {
+	return expectValue(
+		(value) => isString(value) && values.includes(value),
+		`one of ${values.map((value) => JSON.stringify(value)).join(", ")}`,
+		(value) => {
+			const suggestion = isString(value) ? closestMatch(value, values) : null;
+			return suggestion ? `Did you mean "${suggestion}"?` : undefined;
+		},
+	);
+}
+
+/**
+ * Builds a check for arrays whose items each pass a check
+ */
+function expectArrayOf(itemCheck: OptionCheck): OptionCheck {
+	return (value, field) => {
+		if (!Array.isArray(value)) {
+			return [
+				configError(
+					field,
+					value,
+					"Expected an array",
+					isString(value)
+						? `Wrap it in an array: [${JSON.stringify(value)}]`
+						: undefined,
+				),
+			];
+		}
+		return value.flatMap((item, index) =>
+			itemCheck(item, `${field}[${index}]`),
+		);
+	};
+}
+
+function suggestAbsolutePath(value: unknown): string | undefined {
+	return isString(value) && value.length > 0
+		? `Add a leading slash: "/${value.replace(/^\/+/, "")}"`
+		: undefined;
+}
+
+const checkEndpointPath = expectValue(
+	(value) => isString(value) && value.startsWith("/"),
+	'a path starting with "/"',
+	suggestAbsolutePath,
+);
+
+const checkHostName = expectValue(
+	(value) => isString(value) && value.trim().length > 0,
+	"a non-empty host name",
+);
+
+const checkPathMappings: OptionCheck = (value, field) => {
+	if (value === "auto" || value === false) {
+		return [];
+	}
+	if (!isPlainObject(value)) {
+		return [
+			configError(
+				field,
+				value,
+				'Expected "auto", false, or an object mapping path prefixes',
+				'For example { "/workspaces/app": "/Users/me/app" }',
+			),
+		];
+	}
+	return Object.entries(value).flatMap(([prefix, hostPrefix]) =>
+		isString(hostPrefix) && prefix.startsWith("/")
+			? []
+			: [
+					configError(
+						`${field}[${JSON.stringify(prefix)}]`,
+						hostPrefix,
+						"Expected an absolute container path mapped to a host path string",
+					),
+				],
+	);
+};
+
+// Typed as a record so adding an option without a check fails to compile
+const OPTION_CHECKS: Readonly<Record<keyof DevToolsJSONOptions, OptionCheck>> =
+	{
+		uuid: expectValue(
+			(value) => isString(value) && UUID_PATTERN.test(value),
+			"a UUID like 6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b",
+			() => "Use crypto.randomUUID() output, or remove uuid to generate one",
+		),
+		uuidStrategy: expectOneOf(["random", "deterministic"]),
+		uuidSalt: expectValue(isString, "a string"),
+		uuidStorage: expectOneOf(["next-cache", "project", "user"]),
+		enabled: expectValue(
+			(value) => typeof value === "boolean" || typeof value === "function",
+			"a boolean or a ({ phase, env }) => boolean function",
+			(value) =>
+				value === "true" || value === "false"
+					? `Pass the boolean ${value} instead of a string`
+					: undefined,
+		),
+		endpoint: checkEndpointPath,
+		endpoints: expectArrayOf(checkEndpointPath),
+		port: expectInteger(0, MAX_PORT, 3001),
+		maxPortAttempts: expectInteger(1, MAX_PORT, 10),
+		shutdownTimeoutMs: expectInteger(1, Number.MAX_SAFE_INTEGER, 3000),
+		readyTimeoutMs: expectInteger(1, Number.MAX_SAFE_INTEGER, 5000),
+		socketPath: expectValue(
+			(value) => typeof value === "boolean" || isString(value),
+			"a boolean or a socket path",
+		),
+		root: expectValue(
+			(value) =>
+				(isString(value) && value.length > 0) || typeof value === "function",
+			'"auto", a path, or a (cwd) => string function',
+		),
+		pathMappings: checkPathMappings,
+		host: checkHostName,
+		allowedHosts: expectArrayOf(checkHostName),
+		allowedOrigins: (value, field) =>
+			value === "*"
+				? []
+				: expectArrayOf(
+						expectValue(
+							(origin) =>
+								isString(origin) && /^[a-z][a-z0-9+.-]*:\/\//i.test(origin),
+							"an origin such as http://localhost:3000",
+						),
+					)(value, field),
+		token: expectValue(
+			(value) => typeof value === "boolean" || isString(value),
+			"a boolean or a token string",
+		),
+		mode: expectOneOf(["standalone", "instrumentation"]),
+		strict: expectValue((value) => typeof value === "boolean", "a boolean"),
+		logger: expectValue(
+			(value) => typeof value === "function",
+			"a (namespace, message, ...args) => void function",
+		),
+		onStart: expectValue(
+			(value) => typeof value === "function",
+			"an (info) => void function",
+		),
+		onStop: expectValue(
+			(value) => typeof value === "function",
+			"a () => void function",
+		),
+		onRequest: expectValue(
+			(value) => typeof value === "function",
+			"a (req, payload) => void function",
+		),
+		onError: expectValue(
+			(value) => typeof value === "function",
+			"an (error) => void function",
+		),
+	};
+
+/**
+ * Checks whether a key names a plugin option
+ */
+function isKnownOption(key: string): key is keyof DevToolsJSONOptions {
+	return Object.prototype.hasOwnProperty.call(OPTION_CHECKS, key);
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a: string, b: string): number {
+	let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Finds the candidate closest to a misspelled value
+ * @returns The best candidate, or null if none is close enough to suggest
+ */
+function closestMatch(
+	value: string,
+	candidates: ReadonlyArray<string>,
+): string | null {
+	const maxDistance = Math.max(2, Math.floor(value.length / 3));
+	let best: string | null = null;
+	let bestDistance = Infinity;
+
+	for (const candidate of candidates) {
+		const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+		if (distance <= maxDistance && distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * Validates plugin options and collects every problem
+ * @param options - Options as passed to withDevToolsJSON
+ * @returns One ConfigError per invalid or unknown field; empty when valid
+ */
+function validateOptions(options: unknown): ReadonlyArray<ConfigError> {
+	if (!isPlainObject(options)) {
+		return [
+			configError(
+				"options",
+				options,
+				"Expected an options object",
+				"Pass options as the second argument: withDevToolsJSON(nextConfig, { port: 3001 })",
+			),
+		];
+	}
+
+	return Object.entries(options).flatMap(([key, value]) => {
+		if (!isKnownOption(key)) {
+			const suggestion = closestMatch(key, Object.keys(OPTION_CHECKS));
+			return [
+				configError(
+					key,
+					value,
+					"Unknown option",
+					suggestion ? `Did you mean "${suggestion}"?` : "Remove it",
+				),
+			];
+		}
+		return value === undefined ? [] : OPTION_CHECKS[key](value, key);
+	});
+}
+
+/**
+ * Removes the options that failed validation so their defaults apply
+ * @param options - The validated options
+ * @param errors - Problems reported by validateOptions
+ * @returns Options without the invalid or unknown top-level keys
+ */
+function omitInvalidOptions(
+	options: DevToolsJSONOptions,
+	errors: ReadonlyArray<ConfigError>,
+): DevToolsJSONOptions {
+	const invalidKeys = new Set(errors.map((error) => error.field.split("[")[0]));
+	return Object.fromEntries(
+		Object.entries(options).filter(([key]) => !invalidKeys.has(key)),
+	);
+}
+
+function formatValue(value: unknown): string {
+	if (typeof value === "function") {
+		return "a function";
+	}
+	if (value === undefined) {
+		return "undefined";
+	}
+	try {
+		return JSON.stringify(value);
+	} catch {
+		return String(value);
+	}
+}
+
+/**
+ * Formats a ConfigError as a single line for console output
+ * @param error - The error to format
+ * @returns e.g. `port: Expected an integer between 0 and 65535 (received "3001"). Pass a number instead of a string: 3001`
+ */
+function formatConfigError(error: ConfigError): string {
+	const received =
+		"received" in error ? ` (received ${formatValue(error.received)})` : "";
+	const hint = error.hint ? `. ${error.hint}` : "";
+	return `${error.field}: ${error.message}${received}${hint}`;
+}
+
+export {
+	validateOptions,
+	omitInvalidOptions,
+	formatConfigError,
+	formatValue,
+	isKnownOption,
+	isPlainObject,
+	closestMatch,
+};
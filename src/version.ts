@@ -0,0 +1,2 @@
+// Keep in sync with the "version" field in package.json
+export const PLUGIN_VERSION = "3.1.6";
@@ -0,0 +1,199 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import {
+	envVarName,
+	formatLayeredOptions,
+	resolveLayeredOptions,
+} from "../src/config";
+
+const supportsRequireModule =
+	(process.features as { require_module?: boolean }).require_module === true;
+
+describe("#LayeredConfig", () => {
+	let testDir: string;
+
+	beforeEach(async () => {
+		testDir = await fs.promises.mkdtemp(
+			path.join(os.tmpdir(), "test-devtools-config-"),
+		);
+	});
+
+	afterEach(async () => {
+		await fs.promises.rm(testDir, { recursive: true, force: true });
+	});
+
+	async function writeFile(name: string, content: unknown) {
+		await fs.promises.writeFile(
+			path.join(testDir, name),
+			typeof content === "string" ? content : JSON.stringify(content),
+		);
+	}
+
+	describe("#resolveLayeredOptions", () => {
+		it("should read the devtoolsJson key from package.json", async () => {
+			await writeFile("package.json", {
+				name: "app",
+				devtoolsJson: { port: 3005 },
+			});
+
+			const layered = resolveLayeredOptions({}, testDir, {});
+
+			expect(layered.options).toEqual({ port: 3005 });
+			expect(layered.sources.port).toEqual({
+				layer: "file",
+				name: "package.json",
+			});
+		});
+
+		it("should prefer a config file over package.json", async () => {
+			await writeFile("package.json", { devtoolsJson: { port: 3005 } });
+			await writeFile("devtools-json.config.json", { port: 3006 });
+			await writeFile(
+				"devtools-json.config.js",
+				"module.exports = { port: 3007 };",
+			);
+
+			const layered = resolveLayeredOptions({}, testDir, {});
+
+			expect(layered.options.port).toBe(3007);
+			expect(layered.sources.port?.name).toBe("devtools-json.config.js");
+		});
+
+		it("should apply file, env and explicit options in increasing precedence", async () => {
+			await writeFile("devtools-json.config.json", {
+				port: 3006,
+				host: "0.0.0.0",
+				uuidStorage: "project",
+			});
+			const env = {
+				DEVTOOLS_JSON_PORT: "3008",
+				DEVTOOLS_JSON_HOST: "127.0.0.1",
+				DEVTOOLS_JSON_ENABLED: "false",
+			};
+
+			const layered = resolveLayeredOptions({ port: 3009 }, testDir, env);
+
+			expect(layered.options).toEqual({
+				port: 3009,
+				host: "127.0.0.1",
+				uuidStorage: "project",
+				enabled: false,
+			});
+			expect(layered.sources).toMatchObject({
+				port: { layer: "options" },
+				host: { layer: "env", name: "DEVTOOLS_JSON_HOST" },
+				uuidStorage: { layer: "file" },
+				enabled: { layer: "env", name: "DEVTOOLS_JSON_ENABLED" },
+			});
+		});
+
+		it("should parse lists and pass unparseable values through", () => {
+			const layered = resolveLayeredOptions({}, testDir, {
+				DEVTOOLS_JSON_ENDPOINTS: "/a, /b",
+				DEVTOOLS_JSON_ALLOWED_ORIGINS: "*",
+				DEVTOOLS_JSON_MAX_PORT_ATTEMPTS: "many",
+			});
+
+			expect(layered.options).toEqual({
+				endpoints: ["/a", "/b"],
+				allowedOrigins: "*",
+				maxPortAttempts: "many",
+			});
+		});
+
+		it("should let a higher-layer endpoint replace a lower endpoints list", async () => {
+			await writeFile("devtools-json.config.json", { endpoints: ["/a"] });
+
+			const layered = resolveLayeredOptions(
+				{ endpoint: "/devtools" },
+				testDir,
+				{},
+			);
+
+			expect(layered.options).toEqual({ endpoint: "/devtools" });
+		});
+
+		it("should load .cjs config files", async () => {
+			await writeFile("package.json", { type: "module" });
+			await writeFile(
+				"devtools-json.config.cjs",
+				"module.exports = { port: 3009 };",
+			);
+
+			expect(resolveLayeredOptions({}, testDir, {}).options.port).toBe(3009);
+		});
+
+		// require() loads ES modules from Node.js 20.19 on
+		it.skipIf(!supportsRequireModule)(
+			"should load ES module config files",
+			async () => {
+				await writeFile("package.json", { type: "module" });
+				await writeFile(
+					"devtools-json.config.js",
+					"export default { port: 3008 };",
+				);
+				expect(resolveLayeredOptions({}, testDir, {}).options.port).toBe(3008);
+
+				await fs.promises.rm(path.join(testDir, "devtools-json.config.js"));
+				await writeFile(
+					"devtools-json.config.mjs",
+					"export default { port: 3010 };",
+				);
+				expect(resolveLayeredOptions({}, testDir, {}).options.port).toBe(3010);
+			},
+		);
+
+		it("should suggest export default for CommonJS syntax in an ES module", async () => {
+			await writeFile("package.json", { type: "module" });
+			await writeFile(
+				"devtools-json.config.js",
+				"module.exports = { port: 3008 };",
+			);
+
+			const [error] = resolveLayeredOptions({}, testDir, {}).errors;
+
+			expect(error).toMatchObject({
+				field: "devtools-json.config.js",
+				hint: "Export the options with export default, or use devtools-json.config.json",
+			});
+		});
+
+		it("should report config files that fail to load", async () => {
+			await writeFile("devtools-json.config.json", "{ port: ");
+
+			const layered = resolveLayeredOptions({}, testDir, {});
+
+			expect(layered.errors).toHaveLength(1);
+			expect(layered.errors[0]).toMatchObject({
+				_tag: "ConfigError",
+				field: "devtools-json.config.json",
+			});
+		});
+	});
+
+	describe("#envVarName", () => {
+		it("should map option names to DEVTOOLS_JSON_* variables", () => {
+			expect(envVarName("port")).toBe("DEVTOOLS_JSON_PORT");
+			expect(envVarName("maxPortAttempts")).toBe(
+				"DEVTOOLS_JSON_MAX_PORT_ATTEMPTS",
+			);
+		});
+	});
+
+	describe("#formatLayeredOptions", () => {
+		it("should show each effective value with its source layer", () => {
+			const output = formatLayeredOptions(
+				resolveLayeredOptions({ host: "0.0.0.0" }, testDir, {
+					DEVTOOLS_JSON_PORT: "3008",
+				}),
+			);
+
+			expect(output).toMatch(/port\s+3008\s+env \(DEVTOOLS_JSON_PORT\)/);
+			expect(output).toMatch(/host\s+"0\.0\.0\.0"\s+options/);
+			expect(output).toMatch(/maxPortAttempts\s+10\s+default/);
+			expect(output).toMatch(/endpoints\s+\["\/__devtools_json",/);
+		});
+	});
+});
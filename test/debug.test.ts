@@ -0,0 +1,114 @@
+import { describe, expect, it, afterEach, vi } from "vitest";
+import { createDebug, isDebugEnabled, setLogger } from "../src/debug";
+import { withDevToolsJSON, cleanupDevToolsServer } from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+useTempProject();
+
+describe("#Debug", () => {
+	const originalDebug = process.env.DEBUG;
+	const originalEnv = process.env.NODE_ENV;
+
+	afterEach(async () => {
+		process.env.DEBUG = originalDebug;
+		process.env.NODE_ENV = originalEnv;
+		setLogger(undefined);
+		await cleanupDevToolsServer();
+	});
+
+	describe("#isDebugEnabled", () => {
+		it("should enable every namespace for the root namespace", () => {
+			process.env.DEBUG = "next-plugin-devtools-json";
+
+			expect(isDebugEnabled("next-plugin-devtools-json")).toBe(true);
+			expect(isDebugEnabled("next-plugin-devtools-json:server")).toBe(true);
+		});
+
+		it("should filter by namespace, wildcard and exclusion", () => {
+			process.env.DEBUG = "next-plugin-devtools-json:server";
+			expect(isDebugEnabled("next-plugin-devtools-json:server")).toBe(true);
+			expect(isDebugEnabled("next-plugin-devtools-json:uuid")).toBe(false);
+
+			process.env.DEBUG =
+				"next-plugin-devtools-json:*,-next-plugin-devtools-json:request";
+			expect(isDebugEnabled("next-plugin-devtools-json:uuid")).toBe(true);
+			expect(isDebugEnabled("next-plugin-devtools-json:request")).toBe(false);
+
+			process.env.DEBUG = "other-package";
+			expect(isDebugEnabled("next-plugin-devtools-json:server")).toBe(false);
+		});
+	});
+
+	describe("#createDebug", () => {
+		it("should write enabled namespaces to stderr", () => {
+			process.env.DEBUG = "next-plugin-devtools-json:server";
+			const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+
+			createDebug("server")("Trying port", 3001);
+			createDebug("uuid")("Hidden");
+
+			expect(errors).toHaveBeenCalledTimes(1);
+			expect(errors).toHaveBeenCalledWith(
+				"[next-plugin-devtools-json:server] Trying port",
+				3001,
+			);
+			errors.mockRestore();
+		});
+
+		it("should send every message to a custom logger", () => {
+			delete process.env.DEBUG;
+			const logger = vi.fn();
+			setLogger(logger);
+
+			createDebug("uuid")("Created UUID");
+
+			expect(logger).toHaveBeenCalledWith(
+				"next-plugin-devtools-json:uuid",
+				"Created UUID",
+			);
+		});
+	});
+
+	describe("#loggerOption", () => {
+		it("should log probing, requests and rewrites without the token", async () => {
+			process.env.NODE_ENV = "development";
+			const messages: string[] = [];
+			const config = withDevToolsJSON(
+				{},
+				{
+					port: 0,
+					token: "secret",
+					logger: (namespace, message) => {
+						messages.push(`${namespace} ${message}`);
+					},
+				},
+			);
+
+			const rewrites = (await config.rewrites?.()) as {
+				destination: string;
+			}[];
+			await fetch(rewrites[0].destination, {
+				headers: { "user-agent": "devtools-test" },
+			});
+			await cleanupDevToolsServer();
+
+			const namespaces = new Set(messages.map((line) => line.split(" ")[0]));
+			expect([...namespaces]).toEqual(
+				expect.arrayContaining([
+					"next-plugin-devtools-json:config",
+					"next-plugin-devtools-json:server",
+					"next-plugin-devtools-json:uuid",
+					"next-plugin-devtools-json:rewrites",
+					"next-plugin-devtools-json:request",
+				]),
+			);
+			expect(messages).toContain(
+				"next-plugin-devtools-json:request GET /__devtools_json 200 (devtools-test)",
+			);
+			expect(messages).toContain(
+				"next-plugin-devtools-json:server Server stopped",
+			);
+			expect(messages.join("\n")).not.toContain("secret");
+		});
+	});
+});
@@ -0,0 +1,113 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, expect, it, afterEach } from "vitest";
+import {
+	startDevToolsServer,
+	cleanupDevToolsServer,
+	createDevToolsHandler,
+} from "../src/index.ts";
+import { renderIndexPage } from "../src/diagnostics";
+import { PLUGIN_VERSION } from "../src/version";
+import { useTempProject } from "./temp-project";
+
+const projectDir = useTempProject();
+
+describe("#Diagnostics", () => {
+	afterEach(async () => {
+		await cleanupDevToolsServer();
+	});
+
+	async function startServer() {
+		const handle = (
+			await startDevToolsServer({ port: 0, token: "secret" })
+		).unwrap();
+		const base = `http://localhost:${handle.port}/__devtools_json`;
+		const headers = { "x-devtools-json-token": "secret" };
+		return { handle, base, headers };
+	}
+
+	it("should report health under each endpoint", async () => {
+		const { base, headers } = await startServer();
+
+		const response = await fetch(`${base}/health`, { headers });
+
+		expect(response.headers.get("content-type")).toBe("application/json");
+		expect(await response.json()).toEqual({
+			status: "ok",
+			uptime: expect.any(Number),
+			pid: process.pid,
+		});
+	});
+
+	it("should report versions, the bound port and the redacted config", async () => {
+		const nextDir = path.join(projectDir(), "node_modules", "next");
+		await fs.promises.mkdir(nextDir, { recursive: true });
+		await fs.promises.writeFile(
+			path.join(nextDir, "package.json"),
+			JSON.stringify({ name: "next", version: "14.2.0" }),
+		);
+		const { handle, base, headers } = await startServer();
+
+		const info = await (await fetch(`${base}/info`, { headers })).json();
+
+		expect(info).toMatchObject({
+			version: PLUGIN_VERSION,
+			next: "14.2.0",
+			host: "localhost",
+			port: handle.port,
+			root: handle.root,
+			uuid: handle.uuid,
+			uuidSource: "next-cache",
+		});
+		expect(info.config).toMatchObject({ port: 0, token: "[redacted]" });
+		expect(JSON.stringify(info)).not.toContain("secret");
+	});
+
+	it("should render an HTML index for browsers and still require the token", async () => {
+		const { handle, base, headers } = await startServer();
+
+		const page = await fetch(`${base}/`, {
+			headers: { ...headers, accept: "text/html" },
+		});
+		expect(page.headers.get("content-type")).toBe("text/html; charset=utf-8");
+		expect(await page.text()).toContain(handle.uuid);
+
+		expect((await fetch(`${base}/info`)).status).toBe(401);
+	});
+
+	it("should not add diagnostics to the in-process handler", () => {
+		const originalEnv = process.env.NODE_ENV;
+		process.env.NODE_ENV = "development";
+		const handler = createDevToolsHandler();
+		process.env.NODE_ENV = originalEnv;
+
+		expect(
+			handler.fetch(new Request("http://localhost:3000/__devtools_json")),
+		).not.toBeNull();
+		expect(
+			handler.fetch(new Request("http://localhost:3000/__devtools_json/info")),
+		).toBeNull();
+	});
+
+	describe("#renderIndexPage", () => {
+		it("should escape values", () => {
+			const page = renderIndexPage(
+				"/__devtools_json",
+				{ status: "ok", uptime: 1, pid: 1 },
+				{
+					version: "1.0.0",
+					next: null,
+					host: "localhost",
+					port: 3001,
+					root: "/<script>alert(1)</script>",
+					uuid: "u",
+					uuidSource: "option",
+					config: {},
+				},
+			);
+
+			expect(page).toContain("/&lt;script&gt;alert(1)&lt;/script&gt;");
+			expect(page).not.toContain("<script>");
+		});
+	});
+});
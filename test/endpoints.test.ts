@@ -0,0 +1,91 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import {
+	CHROME_DEVTOOLS_PATH,
+	resolveEndpoints,
+	validateEndpoints,
+} from "../src/endpoints";
+
+describe("#Endpoints", () => {
+	let testDir: string;
+
+	beforeEach(async () => {
+		testDir = await fs.promises.mkdtemp(
+			path.join(os.tmpdir(), "test-devtools-endpoints-"),
+		);
+	});
+
+	afterEach(async () => {
+		await fs.promises.rm(testDir, { recursive: true, force: true });
+	});
+
+	describe("#resolveEndpoints", () => {
+		it("should serve the default alias and the well-known path", () => {
+			expect(resolveEndpoints(undefined, undefined)).toEqual([
+				"/__devtools_json",
+				CHROME_DEVTOOLS_PATH,
+			]);
+		});
+
+		it("should keep the single endpoint option working", () => {
+			expect(resolveEndpoints(undefined, "/devtools")).toEqual([
+				"/devtools",
+				CHROME_DEVTOOLS_PATH,
+			]);
+		});
+
+		it("should use the endpoints list as-is", () => {
+			expect(resolveEndpoints([CHROME_DEVTOOLS_PATH], "/devtools")).toEqual([
+				CHROME_DEVTOOLS_PATH,
+			]);
+		});
+	});
+
+	describe("#validateEndpoints", () => {
+		it("should accept literal paths without conflicting routes", () => {
+			const endpoints = [CHROME_DEVTOOLS_PATH, "/internal/devtools.json"];
+
+			expect(validateEndpoints(endpoints, testDir).unwrap()).toBe(endpoints);
+		});
+
+		it("should reject empty, relative, pattern and duplicate endpoints", () => {
+			for (const endpoints of [
+				[],
+				["devtools"],
+				["/"],
+				["/devtools/:slug"],
+				["/_next/devtools"],
+				["/devtools", "/devtools"],
+			]) {
+				expect(validateEndpoints(endpoints, testDir).unwrapErr()).toMatchObject(
+					{ _tag: "ConfigError" },
+				);
+			}
+		});
+
+		it("should reject endpoints that shadow app, pages or public routes", async () => {
+			const routes = [
+				"app/__devtools_json/route.ts",
+				"src/pages/devtools.tsx",
+				"public/.well-known/appspecific/com.chrome.devtools.json",
+			];
+			for (const route of routes) {
+				await fs.promises.mkdir(path.join(testDir, path.dirname(route)), {
+					recursive: true,
+				});
+				await fs.promises.writeFile(path.join(testDir, route), "");
+			}
+
+			for (const [endpoint, route] of [
+				["/__devtools_json", routes[0]],
+				["/devtools", routes[1]],
+				[CHROME_DEVTOOLS_PATH, routes[2]],
+			]) {
+				const error = validateEndpoints([endpoint], testDir).unwrapErr();
+				expect(error.message).toContain(route);
+			}
+		});
+	});
+});
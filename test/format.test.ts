@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import {
+	explainDevToolsError,
+	formatDevToolsError,
+	formatStartupBanner,
+	formatStartupFailure,
+} from "../src/format";
+
+describe("#Format", () => {
+	describe("#explainDevToolsError", () => {
+		it("should name the port range when no port is free", () => {
+			const explanation = explainDevToolsError({
+				_tag: "PortExhaustedError",
+				attempts: 10,
+				lastPort: 3010,
+			});
+
+			expect(explanation.message).toContain("ports 3001-3010");
+			expect(explanation.hint).toContain("maxPortAttempts");
+		});
+
+		it("should suggest a fix per operation and error code", () => {
+			const eacces = Object.assign(new Error("listen EACCES"), {
+				code: "EACCES",
+			});
+
+			expect(
+				explainDevToolsError({
+					_tag: "ServerError",
+					operation: "listen",
+					port: 80,
+					cause: eacces,
+				}).hint,
+			).toContain("above 1024");
+			expect(
+				explainDevToolsError({
+					_tag: "ServerError",
+					operation: "start",
+					cause: new Error("Server was not ready within 5000ms"),
+				}).hint,
+			).toContain("readyTimeoutMs");
+			expect(
+				explainDevToolsError({
+					_tag: "UUIDError",
+					operation: "write",
+					path: "/app/.next/cache/devtools-uuid.json",
+					cause: new Error("EROFS"),
+				}).hint,
+			).toContain("/app/.next/cache");
+			expect(
+				explainDevToolsError({
+					_tag: "FileSystemError",
+					operation: "mkdir",
+					path: "/app/.next/cache",
+					cause: new Error("EACCES"),
+				}).message,
+			).toBe("Could not create the directory /app/.next/cache: EACCES");
+		});
+
+		it("should keep the field, received value and hint of config errors", () => {
+			expect(
+				explainDevToolsError({
+					_tag: "ConfigError",
+					field: "port",
+					message: "Expected an integer",
+					received: "3001",
+					hint: "Pass a number instead of a string: 3001",
+				}),
+			).toEqual({
+				message: 'Invalid port option: Expected an integer (received "3001")',
+				hint: "Pass a number instead of a string: 3001",
+			});
+		});
+	});
+
+	describe("#formatDevToolsError", () => {
+		it("should append the fix on its own line", () => {
+			expect(
+				formatDevToolsError({
+					_tag: "ConfigError",
+					field: "host",
+					message: "Expected a string",
+					hint: "Set host to a hostname",
+				}),
+			).toBe(
+				"Invalid host option: Expected a string\n  Fix: Set host to a hostname",
+			);
+		});
+	});
+
+	describe("#formatStartupBanner", () => {
+		it("should list every endpoint URL in a Next-style block", () => {
+			expect(
+				formatStartupBanner({
+					urls: [
+						"http://localhost:3000/__devtools_json",
+						"http://localhost:3000/.well-known/appspecific/com.chrome.devtools.json",
+					],
+					server: "http://127.0.0.1:3001",
+					root: "/app",
+				}),
+			).toBe(
+				[
+					" ✓ DevTools JSON ready",
+					"   - Endpoints:   http://localhost:3000/__devtools_json",
+					"                  http://localhost:3000/.well-known/appspecific/com.chrome.devtools.json",
+					"   - Server:      http://127.0.0.1:3001",
+					"   - Workspace:   /app",
+				].join("\n"),
+			);
+		});
+
+		it("should list endpoint paths when the app origin is unknown", () => {
+			expect(
+				formatStartupBanner({
+					urls: ["/__devtools_json"],
+					server: "http://127.0.0.1:3001",
+					root: "/app",
+				}),
+			).toContain("   - Endpoints:   /__devtools_json\n");
+		});
+	});
+
+	describe("#formatStartupFailure", () => {
+		it("should show the error and the fix", () => {
+			const output = formatStartupFailure({
+				_tag: "PortExhaustedError",
+				attempts: 2,
+				lastPort: 3002,
+			});
+
+			expect(output).toMatch(/^ ⨯ DevTools JSON server failed to start\n/);
+			expect(output).toContain("   - Error:       No free port");
+			expect(output).toContain("   - Fix:         Set port to a free port");
+		});
+	});
+});
@@ -0,0 +1,141 @@
+import http from "node:http";
+import { describe, expect, it, beforeEach, afterEach, vi } from "vitest";
+import { createDevToolsHandler, type DevToolsHandler } from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+useTempProject();
+
+describe("#DevToolsHandler", () => {
+	const originalEnv = process.env.NODE_ENV;
+
+	beforeEach(() => {
+		process.env.NODE_ENV = "development";
+	});
+
+	afterEach(() => {
+		process.env.NODE_ENV = originalEnv;
+		vi.restoreAllMocks();
+	});
+
+	async function serve(
+		listener: http.RequestListener,
+		run: (origin: string) => Promise<void>,
+	) {
+		const server = http.createServer(listener);
+		await new Promise<void>((resolve) => {
+			server.listen(0, "localhost", () => resolve());
+		});
+		const { port } = server.address() as { port: number };
+		try {
+			await run(`http://localhost:${port}`);
+		} finally {
+			await new Promise((resolve) => server.close(resolve));
+		}
+	}
+
+	function appFallback(handler: DevToolsHandler): http.RequestListener {
+		return (req, res) => {
+			handler(req, res, () => res.end("app"));
+		};
+	}
+
+	describe("#nodeHandler", () => {
+		it("should serve the endpoints and pass other requests on", async () => {
+			const onRequest = vi.fn();
+			const handler = createDevToolsHandler({ onRequest });
+
+			await serve(appFallback(handler), async (origin) => {
+				const response = await fetch(
+					`${origin}/.well-known/appspecific/com.chrome.devtools.json`,
+				);
+				const payload = await response.json();
+
+				expect(response.headers.get("content-type")).toBe("application/json");
+				expect(payload.workspace).toHaveProperty("uuid");
+				expect(onRequest).toHaveBeenCalledWith(
+					expect.any(http.IncomingMessage),
+					payload,
+				);
+
+				expect(await (await fetch(`${origin}/about`)).text()).toBe("app");
+			});
+		});
+
+		it("should enforce the Host allowlist", async () => {
+			const handler = createDevToolsHandler();
+
+			await serve(appFallback(handler), async (origin) => {
+				const status = await new Promise<number>((resolve, reject) => {
+					http
+						.get(
+							`${origin}/__devtools_json`,
+							{ headers: { host: "evil.example" } },
+							(res) => {
+								res.resume();
+								resolve(res.statusCode ?? 0);
+							},
+						)
+						.on("error", reject);
+				});
+
+				expect(status).toBe(403);
+			});
+		});
+
+		it("should pass every request on when disabled", () => {
+			process.env.NODE_ENV = "production";
+			const handler = createDevToolsHandler();
+			const next = vi.fn();
+
+			const handled = handler(
+				{ url: "/__devtools_json", headers: {} } as http.IncomingMessage,
+				{} as http.ServerResponse,
+				next,
+			);
+
+			expect(handled).toBe(false);
+			expect(next).toHaveBeenCalled();
+		});
+	});
+
+	describe("#fetch", () => {
+		it("should answer WHATWG requests for the endpoints only", async () => {
+			const handler = createDevToolsHandler({ token: "ignored" });
+
+			const response = handler.fetch(
+				new Request("http://localhost:3000/__devtools_json"),
+			);
+
+			expect(response?.status).toBe(200);
+			expect((await response?.json()).workspace).toHaveProperty("root");
+			expect(
+				handler.fetch(new Request("http://localhost:3000/about")),
+			).toBeNull();
+		});
+
+		it("should call onRequest with the request and the served payload", async () => {
+			const onRequest = vi.fn();
+			const handler = createDevToolsHandler({ onRequest });
+
+			const response = handler.fetch(
+				new Request("http://localhost:3000/__devtools_json?x=1", {
+					headers: { "user-agent": "devtools-test" },
+				}),
+			);
+			handler.fetch(
+				new Request("http://localhost:3000/__devtools_json", {
+					method: "OPTIONS",
+				}),
+			);
+
+			expect(onRequest).toHaveBeenCalledTimes(1);
+			const [req, payload] = onRequest.mock.calls[0];
+			expect(req).toMatchObject({
+				method: "GET",
+				url: "/__devtools_json?x=1",
+				headers: { "user-agent": "devtools-test", host: "localhost:3000" },
+			});
+			expect(payload).toEqual(await response?.json());
+		});
+	});
+});
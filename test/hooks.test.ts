@@ -0,0 +1,106 @@
+import http from "node:http";
+import { describe, expect, it, afterEach, vi } from "vitest";
+import {
+	withDevToolsJSON,
+	cleanupDevToolsServer,
+	type DevToolsServerInfo,
+} from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+type Rewrite = { source: string; destination: string };
+
+useTempProject();
+
+describe("#LifecycleHooks", () => {
+	const originalEnv = process.env.NODE_ENV;
+
+	afterEach(async () => {
+		process.env.NODE_ENV = originalEnv;
+		await cleanupDevToolsServer();
+		vi.restoreAllMocks();
+		vi.unstubAllEnvs();
+	});
+
+	it("should call onStart, onRequest and onStop with typed payloads", async () => {
+		process.env.NODE_ENV = "development";
+		vi.stubEnv("__NEXT_PRIVATE_ORIGIN", "http://localhost:3456");
+		const onStart = vi.fn<(info: DevToolsServerInfo) => void>();
+		const onRequest = vi.fn();
+		const onStop = vi.fn();
+
+		const config = withDevToolsJSON(
+			{},
+			{ port: 0, onStart, onRequest, onStop },
+		);
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+
+		expect(onStart).toHaveBeenCalledTimes(1);
+		const info = onStart.mock.calls[0][0];
+		expect(info.port).toBe(Number(new URL(rewrites[0].destination).port));
+		expect(info.urls).toContain("http://localhost:3456/__devtools_json");
+
+		const response = await fetch(rewrites[0].destination, {
+			headers: { "user-agent": "devtools-test" },
+		});
+		const payload = await response.json();
+
+		expect(onRequest).toHaveBeenCalledTimes(1);
+		const [req, served] = onRequest.mock.calls[0];
+		expect(req.headers["user-agent"]).toBe("devtools-test");
+		expect(served).toEqual(payload);
+		expect(served.workspace).toEqual({ root: info.root, uuid: info.uuid });
+
+		await cleanupDevToolsServer();
+		expect(onStop).toHaveBeenCalledTimes(1);
+	});
+
+	it("should pass startup failures to onError", async () => {
+		process.env.NODE_ENV = "development";
+		vi.spyOn(console, "error").mockImplementation(() => {});
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+		const blocker = http.createServer();
+		await new Promise<void>((resolve) => {
+			blocker.listen(3111, "localhost", () => resolve());
+		});
+		const onError = vi.fn();
+
+		try {
+			const config = withDevToolsJSON(
+				{},
+				{ port: 3111, maxPortAttempts: 1, onError },
+			);
+			await config.rewrites?.();
+		} finally {
+			await new Promise((resolve) => blocker.close(resolve));
+		}
+
+		expect(onError).toHaveBeenCalledWith({
+			_tag: "PortExhaustedError",
+			attempts: 1,
+			lastPort: 3111,
+		});
+	});
+
+	it("should report a throwing hook without breaking the request", async () => {
+		process.env.NODE_ENV = "development";
+		const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const config = withDevToolsJSON(
+			{},
+			{
+				port: 0,
+				onRequest: () => {
+					throw new Error("hook failed");
+				},
+			},
+		);
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+		const response = await fetch(rewrites[0].destination);
+
+		expect(response.status).toBe(200);
+		expect(errors).toHaveBeenCalledWith(
+			"[next-plugin-devtools-json] onRequest hook failed:",
+			expect.objectContaining({ message: "hook failed" }),
+		);
+	});
+});
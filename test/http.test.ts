@@ -0,0 +1,135 @@
+import http from "node:http";
+import { describe, expect, it, beforeAll, afterAll } from "vitest";
+import { startDevToolsServer, cleanupDevToolsServer } from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+useTempProject();
+
+describe("#HttpSemantics", () => {
+	let base: string;
+	const token = { "x-devtools-json-token": "secret" };
+
+	beforeAll(async () => {
+		const handle = (
+			await startDevToolsServer({
+				port: 0,
+				token: "secret",
+				allowedOrigins: ["http://localhost:3000"],
+			})
+		).unwrap();
+		base = `http://localhost:${handle.port}`;
+	});
+
+	afterAll(async () => {
+		await cleanupDevToolsServer();
+	});
+
+	function request(
+		method: string,
+		requestPath: string,
+		headers: http.OutgoingHttpHeaders = {},
+	): Promise<{
+		status: number;
+		headers: http.IncomingHttpHeaders;
+		body: string;
+	}> {
+		return new Promise((resolve, reject) => {
+			const req = http.request(
+				`${base}${requestPath}`,
+				{ method, headers },
+				(res) => {
+					let body = "";
+					res.setEncoding("utf-8");
+					res.on("data", (chunk) => {
+						body += chunk;
+					});
+					res.on("end", () => {
+						resolve({
+							status: res.statusCode ?? 0,
+							headers: res.headers,
+							body,
+						});
+					});
+				},
+			);
+			req.on("error", reject);
+			req.end();
+		});
+	}
+
+	it("should reject other methods with 405 and Allow", async () => {
+		for (const method of ["POST", "PUT", "DELETE"]) {
+			const response = await request(method, "/__devtools_json", token);
+
+			expect(response.status).toBe(405);
+			expect(response.headers.allow).toBe("GET, HEAD, OPTIONS");
+		}
+	});
+
+	it("should answer HEAD with the GET headers and no body", async () => {
+		const get = await request("GET", "/__devtools_json", token);
+		const head = await request("HEAD", "/__devtools_json", token);
+
+		expect(head.status).toBe(200);
+		expect(head.body).toBe("");
+		expect(head.headers["content-length"]).toBe(
+			String(Buffer.byteLength(get.body)),
+		);
+		expect(head.headers.etag).toBe(get.headers.etag);
+	});
+
+	it("should answer preflight requests without the token", async () => {
+		const response = await request("OPTIONS", "/__devtools_json", {
+			origin: "http://localhost:3000",
+			"access-control-request-method": "GET",
+			"access-control-request-headers": "x-devtools-json-token",
+		});
+
+		expect(response.status).toBe(204);
+		expect(response.headers).toMatchObject({
+			"access-control-allow-origin": "http://localhost:3000",
+			"access-control-allow-methods": "GET, HEAD, OPTIONS",
+			"access-control-allow-headers": "x-devtools-json-token",
+		});
+
+		const foreign = await request("OPTIONS", "/__devtools_json", {
+			origin: "https://evil.example",
+		});
+		expect(foreign.status).toBe(403);
+	});
+
+	it("should send a strong ETag, no-store and honor If-None-Match", async () => {
+		const first = await request("GET", "/__devtools_json", token);
+		const etag = first.headers.etag as string;
+
+		expect(etag).toMatch(/^"[\w-]+"$/);
+		expect(first.headers["cache-control"]).toBe("no-store");
+
+		const revalidated = await request("GET", "/__devtools_json", {
+			...token,
+			"if-none-match": `W/"other", ${etag}`,
+		});
+		expect(revalidated.status).toBe(304);
+		expect(revalidated.body).toBe("");
+		expect(revalidated.headers.etag).toBe(etag);
+
+		const changed = await request("GET", "/__devtools_json", {
+			...token,
+			"if-none-match": '"other"',
+		});
+		expect(changed.status).toBe(200);
+	});
+
+	it("should tolerate a trailing slash and percent-encoded paths", async () => {
+		const plain = await request("GET", "/__devtools_json", token);
+
+		for (const variant of ["/__devtools_json/", "/__devtools%5Fjson"]) {
+			const response = await request("GET", variant, token);
+			expect(response.status).toBe(200);
+			expect(response.body).toBe(plain.body);
+		}
+		expect((await request("GET", "/__devtools_json//", token)).status).toBe(
+			404,
+		);
+	});
+});
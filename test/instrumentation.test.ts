@@ -0,0 +1,122 @@
+import fs from "node:fs";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach, vi } from "vitest";
+import {
+	withDevToolsJSON,
+	register,
+	getDevToolsServerInfo,
+	cleanupDevToolsServer,
+} from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+type Rewrite = { source: string; destination: string };
+
+useTempProject();
+
+describe("#InstrumentationMode", () => {
+	const originalEnv = process.env.NODE_ENV;
+	const originalRuntime = process.env.NEXT_RUNTIME;
+
+	beforeEach(() => {
+		process.env.NODE_ENV = "development";
+	});
+
+	afterEach(async () => {
+		process.env.NODE_ENV = originalEnv;
+		if (originalRuntime === undefined) {
+			delete process.env.NEXT_RUNTIME;
+		} else {
+			process.env.NEXT_RUNTIME = originalRuntime;
+		}
+		await cleanupDevToolsServer();
+		vi.restoreAllMocks();
+	});
+
+	it("should proxy the rewrites to the server started by register()", async () => {
+		process.env.NEXT_RUNTIME = "nodejs";
+		const config = withDevToolsJSON({}, { mode: "instrumentation" });
+
+		expect(await getDevToolsServerInfo()).toBeNull();
+		await register();
+
+		const info = await getDevToolsServerInfo();
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+
+		expect(rewrites.map(({ source }) => source)).toEqual([
+			"/__devtools_json",
+			"/.well-known/appspecific/com.chrome.devtools.json",
+		]);
+		expect(rewrites[0].destination).toBe(
+			`http://localhost:${info?.port}/__devtools_json`,
+		);
+		const response = await fetch(rewrites[0].destination);
+		expect((await response.json()).workspace.uuid).toBe(info?.uuid);
+	});
+
+	it("should bind the port the rewrites reserved before register()", async () => {
+		process.env.NEXT_RUNTIME = "nodejs";
+		const config = withDevToolsJSON({}, { mode: "instrumentation" });
+
+		// Next.js loads the rewrites before it compiles instrumentation.ts
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+		expect(await getDevToolsServerInfo()).toBeNull();
+		await register();
+
+		const info = await getDevToolsServerInfo();
+		expect(rewrites[0].destination).toBe(
+			`http://localhost:${info?.port}/__devtools_json`,
+		);
+		const response = await fetch(rewrites[0].destination);
+		expect((await response.json()).workspace.uuid).toBe(info?.uuid);
+	});
+
+	it("should warn when register() never binds the reserved port", async () => {
+		const warnings = vi.spyOn(console, "warn").mockImplementation(() => {});
+		const config = withDevToolsJSON(
+			{},
+			{ mode: "instrumentation", readyTimeoutMs: 200 },
+		);
+
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+		expect(rewrites).toHaveLength(2);
+		expect(warnings).not.toHaveBeenCalled();
+
+		await new Promise((resolve) => setTimeout(resolve, 300));
+		expect(warnings).toHaveBeenCalledWith(
+			expect.stringContaining("Call register() from instrumentation.ts"),
+		);
+	});
+
+	it("should enable the instrumentation hook before Next.js 15", async () => {
+		const nextDir = path.join(process.cwd(), "node_modules", "next");
+		await fs.promises.mkdir(nextDir, { recursive: true });
+		await fs.promises.writeFile(
+			path.join(nextDir, "package.json"),
+			JSON.stringify({ name: "next", version: "14.2.29" }),
+		);
+
+		try {
+			const config = withDevToolsJSON(
+				{ experimental: { typedRoutes: true } },
+				{ mode: "instrumentation" },
+			);
+
+			expect(config.experimental).toEqual({
+				typedRoutes: true,
+				instrumentationHook: true,
+			});
+		} finally {
+			await fs.promises.rm(path.join(process.cwd(), "node_modules"), {
+				recursive: true,
+			});
+		}
+	});
+
+	it("should not start a server in the edge runtime", async () => {
+		process.env.NEXT_RUNTIME = "edge";
+
+		await register();
+
+		expect(await getDevToolsServerInfo()).toBeNull();
+	});
+});
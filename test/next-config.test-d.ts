@@ -0,0 +1,49 @@
+import { describe, expectTypeOf, it } from "vitest";
+import type { NextConfig } from "next";
+import {
+	withDevToolsJSON,
+	type AsyncNextConfigFunction,
+	type LegacyConfigWrapper,
+	type NextConfigFunction,
+} from "../src/index.ts";
+
+describe("#withDevToolsJSON types", () => {
+	it("should return a config object for a config object", () => {
+		expectTypeOf(
+			withDevToolsJSON({ reactStrictMode: true }, { port: 3001 }),
+		).toEqualTypeOf<NextConfig>();
+		expectTypeOf(withDevToolsJSON({}, {})).toEqualTypeOf<NextConfig>();
+
+		const nextConfig: NextConfig = { reactStrictMode: true };
+		expectTypeOf(withDevToolsJSON(nextConfig)).toEqualTypeOf<NextConfig>();
+		expectTypeOf(
+			withDevToolsJSON({ reactStrictMode: true }),
+		).toEqualTypeOf<NextConfig>();
+	});
+
+	it("should return a promise for a promise", () => {
+		expectTypeOf(
+			withDevToolsJSON(Promise.resolve({ reactStrictMode: true })),
+		).toEqualTypeOf<Promise<NextConfig>>();
+	});
+
+	it("should return a config function for a config function", () => {
+		expectTypeOf(
+			withDevToolsJSON((phase: string) => ({ distDir: phase })),
+		).toEqualTypeOf<NextConfigFunction>();
+		expectTypeOf(
+			withDevToolsJSON(async () => ({ reactStrictMode: true }), {
+				port: 3001,
+			}),
+		).toEqualTypeOf<AsyncNextConfigFunction>();
+	});
+
+	it("should return a callable wrapper when no Next.js config is given", () => {
+		expectTypeOf(withDevToolsJSON()).toEqualTypeOf<LegacyConfigWrapper>();
+		expectTypeOf(withDevToolsJSON({})).toEqualTypeOf<LegacyConfigWrapper>();
+		expectTypeOf(
+			withDevToolsJSON({ port: 3001 })({ reactStrictMode: true }),
+		).toEqualTypeOf<NextConfig>();
+		expectTypeOf(withDevToolsJSON()).toMatchTypeOf<NextConfigFunction>();
+	});
+});
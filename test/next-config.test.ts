@@ -0,0 +1,206 @@
+import { describe, expect, it, afterEach, vi } from "vitest";
+import { withDevToolsJSON, cleanupDevToolsServer } from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+const PHASE_DEVELOPMENT_SERVER = "phase-development-server";
+const PHASE_PRODUCTION_BUILD = "phase-production-build";
+const PHASE_PRODUCTION_SERVER = "phase-production-server";
+
+useTempProject();
+
+describe("#NextConfigShapes", () => {
+	const originalEnv = process.env.NODE_ENV;
+
+	afterEach(async () => {
+		process.env.NODE_ENV = originalEnv;
+		await cleanupDevToolsServer();
+	});
+
+	describe("#phases", () => {
+		it("should only enable the plugin in the development server phase", () => {
+			// NODE_ENV alone must not start a server in other phases
+			process.env.NODE_ENV = "development";
+			const nextConfig = { reactStrictMode: true };
+			const configFn = withDevToolsJSON(() => nextConfig, { port: 0 });
+
+			const buildConfig = configFn(PHASE_PRODUCTION_BUILD, {
+				defaultConfig: {},
+			});
+			expect(buildConfig).toBe(nextConfig);
+
+			const devConfig = configFn(PHASE_DEVELOPMENT_SERVER, {
+				defaultConfig: {},
+			});
+			expect(devConfig.reactStrictMode).toBe(true);
+			expect(devConfig).toHaveProperty("rewrites");
+		});
+
+		it("should pass the phase and environment to an enabled predicate", () => {
+			process.env.NODE_ENV = "production";
+			const contexts: unknown[] = [];
+			const configFn = withDevToolsJSON(() => ({}), {
+				port: 0,
+				enabled: (context) => {
+					contexts.push(context);
+					return context.phase === PHASE_PRODUCTION_SERVER;
+				},
+			});
+
+			const startConfig = configFn(PHASE_PRODUCTION_SERVER, {
+				defaultConfig: {},
+			});
+
+			expect(startConfig).toHaveProperty("rewrites");
+			expect(contexts).toEqual([
+				{ phase: PHASE_PRODUCTION_SERVER, env: process.env },
+			]);
+		});
+
+		it("should call the inner config with the phase and default config", () => {
+			const calls: unknown[] = [];
+			const defaultConfig = { distDir: ".next" };
+			const configFn = withDevToolsJSON(
+				(phase, context) => {
+					calls.push([phase, context]);
+					return {};
+				},
+				{ enabled: false },
+			);
+
+			configFn(PHASE_PRODUCTION_BUILD, { defaultConfig });
+
+			expect(calls).toEqual([[PHASE_PRODUCTION_BUILD, { defaultConfig }]]);
+		});
+	});
+
+	describe("#inputShapes", () => {
+		type Rewrite = { source: string; destination: string };
+		const existingRewrites = [{ source: "/custom", destination: "/page" }];
+		const nextConfig = {
+			reactStrictMode: true,
+			rewrites: async () => existingRewrites,
+		};
+
+		async function expectMergedRewrites(config: {
+			reactStrictMode?: boolean;
+			rewrites?: () => Promise<unknown>;
+		}) {
+			expect(config.reactStrictMode).toBe(true);
+			const rewrites = (await config.rewrites?.()) as Rewrite[];
+			expect(rewrites.map((rewrite) => rewrite.source)).toEqual([
+				"/__devtools_json",
+				"/.well-known/appspecific/com.chrome.devtools.json",
+				"/custom",
+			]);
+		}
+
+		it("should extend sync object configs", async () => {
+			process.env.NODE_ENV = "development";
+
+			await expectMergedRewrites(withDevToolsJSON(nextConfig, { port: 0 }));
+		});
+
+		it("should return a promise for promise configs", async () => {
+			process.env.NODE_ENV = "development";
+
+			const config = withDevToolsJSON(Promise.resolve(nextConfig), {
+				port: 0,
+			});
+
+			expect(config).toBeInstanceOf(Promise);
+			await expectMergedRewrites(await config);
+		});
+
+		it("should return a function for phase-function configs", async () => {
+			const configFn = withDevToolsJSON(() => nextConfig, { port: 0 });
+
+			expect(typeof configFn).toBe("function");
+			await expectMergedRewrites(
+				configFn(PHASE_DEVELOPMENT_SERVER, { defaultConfig: {} }),
+			);
+		});
+
+		it("should return an async function for async configs", async () => {
+			const configFn = withDevToolsJSON(async () => nextConfig, { port: 0 });
+
+			const config = configFn(PHASE_DEVELOPMENT_SERVER, { defaultConfig: {} });
+
+			expect(config).toBeInstanceOf(Promise);
+			await expectMergedRewrites(await config);
+		});
+	});
+
+	describe("#optionValidation", () => {
+		it("should warn about invalid options and fall back to defaults", async () => {
+			process.env.NODE_ENV = "development";
+			const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+			const config = withDevToolsJSON(
+				{},
+				{ port: 0, endpoint: "devtools" as never },
+			);
+			const rewrites = (await config.rewrites?.()) as { source: string }[];
+
+			expect(warn).toHaveBeenCalledWith(expect.stringContaining("endpoint:"));
+			expect(rewrites[0].source).toBe("/__devtools_json");
+			warn.mockRestore();
+		});
+
+		it("should throw in strict mode", () => {
+			expect(() =>
+				withDevToolsJSON({}, { strict: true, prot: 3001 } as never),
+			).toThrow('prot: Unknown option (received 3001). Did you mean "port"?');
+		});
+	});
+
+	describe("#legacySignature", () => {
+		it("should return a config wrapper for an options-only call", async () => {
+			process.env.NODE_ENV = "development";
+			const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+			const wrap = withDevToolsJSON({ port: 0, endpoint: "/legacy" });
+
+			expect(typeof wrap).toBe("function");
+			expect(warn).toHaveBeenCalledWith(
+				expect.stringContaining("withDevToolsJSON(options)(nextConfig)"),
+			);
+			warn.mockRestore();
+
+			const config = wrap({ reactStrictMode: true });
+			const rewrites = (await config.rewrites?.()) as { source: string }[];
+			expect(config.reactStrictMode).toBe(true);
+			expect(rewrites[0].source).toBe("/legacy");
+		});
+
+		it("should keep treating Next.js configs as configs", () => {
+			process.env.NODE_ENV = "production";
+			const nextConfig = { reactStrictMode: true };
+
+			expect(withDevToolsJSON(nextConfig)).toBe(nextConfig);
+			// An explicit options argument always means the current signature
+			expect(typeof withDevToolsJSON({ port: 0 }, {})).toBe("object");
+		});
+
+		it("should make no-argument and empty-object results callable", () => {
+			process.env.NODE_ENV = "production";
+			const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+			const nextConfig = { reactStrictMode: true };
+
+			expect(withDevToolsJSON()(nextConfig)).toBe(nextConfig);
+			expect(withDevToolsJSON({})(nextConfig)).toBe(nextConfig);
+			warn.mockRestore();
+		});
+
+		it("should work as a Next.js config function when exported directly", async () => {
+			process.env.NODE_ENV = "production";
+			const configFn = withDevToolsJSON({ port: 0, endpoint: "/direct" });
+
+			const config = configFn(PHASE_DEVELOPMENT_SERVER, {
+				defaultConfig: {},
+			});
+			const rewrites = (await config.rewrites?.()) as { source: string }[];
+
+			expect(rewrites[0].source).toBe("/direct");
+		});
+	});
+});
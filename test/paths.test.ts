@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { applyPathMappings, mapWorkspacePath } from "../src/paths";
+
+describe("#PathMappings", () => {
+	describe("#applyPathMappings", () => {
+		it("should map a container prefix to a host prefix", () => {
+			expect(
+				applyPathMappings("/workspaces/app/apps/web", {
+					"/workspaces/app": "/Users/me/code/app",
+				}),
+			).toBe("/Users/me/code/app/apps/web");
+		});
+
+		it("should prefer the longest matching prefix", () => {
+			expect(
+				applyPathMappings("/workspaces/app/web", {
+					"/workspaces": "/srv",
+					"/workspaces/app/": "/Users/me/app",
+				}),
+			).toBe("/Users/me/app/web");
+		});
+
+		it("should only match whole path segments", () => {
+			expect(
+				applyPathMappings("/workspaces/application", {
+					"/workspaces/app": "/Users/me/app",
+				}),
+			).toBeNull();
+		});
+
+		it("should format Windows host paths with backslashes", () => {
+			expect(
+				applyPathMappings("/workspaces/app/src", {
+					"/workspaces/app": "C:\\Users\\me\\app",
+				}),
+			).toBe("C:\\Users\\me\\app\\src");
+		});
+	});
+
+	describe("#mapWorkspacePath", () => {
+		it("should leave the root unchanged when mappings are disabled", () => {
+			expect(mapWorkspacePath("/mnt/c/app", false)).toEqual({
+				path: "/mnt/c/app",
+				source: "none",
+			});
+		});
+
+		it("should detect devcontainer workspaces", () => {
+			const env = { LOCAL_WORKSPACE_FOLDER: "/Users/me/code/app" };
+
+			expect(mapWorkspacePath("/workspaces/app", "auto", env)).toEqual({
+				path: "/Users/me/code/app",
+				source: "devcontainer",
+			});
+		});
+
+		it.runIf(process.platform === "linux")(
+			"should map WSL paths to Windows paths",
+			() => {
+				const env = { WSL_DISTRO_NAME: "Ubuntu" };
+
+				expect(mapWorkspacePath("/mnt/c/Users/me/app", "auto", env)).toEqual({
+					path: "C:\\Users\\me\\app",
+					source: "wsl",
+				});
+				expect(mapWorkspacePath("/home/me/app", "auto", env)).toEqual({
+					path: "\\\\wsl.localhost\\Ubuntu\\home\\me\\app",
+					source: "wsl",
+				});
+			},
+		);
+	});
+});
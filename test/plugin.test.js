@@ -2,6 +2,7 @@ import request from "supertest";
 import { createServer } from "node:http";
 import { describe, expect, it, beforeAll, afterAll, vi } from "vitest";
 import withDevToolsJSON from "../dist/index.mjs";
+import { useTempProject } from "./temp-project";
 
 // Mock Next.js config and server setup
 function createTestServer(nextConfig = {}) {
@@ -34,6 +35,8 @@ function createTestServer(nextConfig = {}) {
 	return server;
 }
 
+useTempProject();
+
 describe("#NextPluginDevToolsJSON", () => {
 	describe("#configureDevToolsEndpoint", () => {
 		it("should serve a `devtools.json`", async () => {
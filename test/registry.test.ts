@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import { ServerRegistry } from "../src/registry";
+
+describe("#ServerRegistry", () => {
+	let testDir: string;
+	let registryPath: string;
+	let registry: ServerRegistry;
+
+	beforeEach(async () => {
+		testDir = await fs.promises.mkdtemp(
+			path.join(os.tmpdir(), "test-devtools-registry-"),
+		);
+		registryPath = path.join(testDir, ".next", "cache", "devtools-server.json");
+		registry = new ServerRegistry(fs, path, registryPath);
+	});
+
+	afterEach(async () => {
+		await fs.promises.rm(testDir, { recursive: true, force: true });
+	});
+
+	it("should let the first instance claim the registry", () => {
+		const result = registry.acquire("instance-a", "/__devtools_json:3001");
+
+		expect(result.unwrap()).toEqual({ type: "owner" });
+		expect(registry.read()).toMatchObject({
+			pid: process.pid,
+			port: null,
+			instanceId: "instance-a",
+		});
+	});
+
+	it("should return the live owner to later instances", () => {
+		registry.acquire("instance-a", "/__devtools_json:3001");
+		registry.publish("instance-a", 3002);
+
+		const result = registry.acquire("instance-b", "/__devtools_json:3001");
+
+		expect(result.unwrap()).toMatchObject({
+			type: "existing",
+			entry: { instanceId: "instance-a", port: 3002 },
+		});
+	});
+
+	it("should reclaim entries left behind by dead processes", async () => {
+		await fs.promises.mkdir(path.dirname(registryPath), { recursive: true });
+		await fs.promises.writeFile(
+			registryPath,
+			JSON.stringify({
+				pid: 2 ** 30,
+				port: 3001,
+				instanceId: "stale",
+				configKey: "/__devtools_json:3001",
+				startedAt: new Date(0).toISOString(),
+			}),
+		);
+
+		const result = registry.acquire("instance-a", "/__devtools_json:3001");
+
+		expect(result.unwrap()).toEqual({ type: "owner" });
+		expect(registry.read()?.instanceId).toBe("instance-a");
+	});
+
+	it("should reclaim entries with this pid but an instance it does not own", async () => {
+		// A previous container also ran the dev server as this pid
+		await fs.promises.mkdir(path.dirname(registryPath), { recursive: true });
+		await fs.promises.writeFile(
+			registryPath,
+			JSON.stringify({
+				pid: process.pid,
+				port: 3999,
+				instanceId: "previous-container",
+				configKey: "/__devtools_json:3001",
+				startedAt: new Date(0).toISOString(),
+			}),
+		);
+
+		const result = registry.acquire("instance-a", "/__devtools_json:3001");
+
+		expect(result.unwrap()).toEqual({ type: "owner" });
+		expect(registry.read()?.instanceId).toBe("instance-a");
+	});
+
+	it("should leave a stale entry to the first of two instances reclaiming it", async () => {
+		await fs.promises.mkdir(path.dirname(registryPath), { recursive: true });
+		await fs.promises.writeFile(
+			registryPath,
+			JSON.stringify({
+				pid: 2 ** 30,
+				port: 3001,
+				instanceId: "stale",
+				configKey: "/__devtools_json:3001",
+				startedAt: new Date(0).toISOString(),
+			}),
+		);
+
+		// Instance B reclaims the entry right after instance A has read it
+		let interleaved = false;
+		const interleavingFs = {
+			...fs,
+			readFileSync: ((...args: Parameters<typeof fs.readFileSync>) => {
+				const content = fs.readFileSync(...args);
+				if (!interleaved && String(content).includes('"stale"')) {
+					interleaved = true;
+					expect(
+						registry.acquire("instance-b", "/__devtools_json:3001").unwrap(),
+					).toEqual({ type: "owner" });
+				}
+				return content;
+			}) as typeof fs.readFileSync,
+		};
+		const racing = new ServerRegistry(interleavingFs, path, registryPath);
+
+		const result = racing.acquire("instance-a", "/__devtools_json:3001");
+
+		expect(interleaved).toBe(true);
+		expect(result.unwrap()).toMatchObject({
+			type: "existing",
+			entry: { instanceId: "instance-b" },
+		});
+		expect(registry.read()?.instanceId).toBe("instance-b");
+	});
+
+	it("should only release entries owned by the caller", () => {
+		registry.acquire("instance-a", "/__devtools_json:3001");
+
+		registry.release("instance-b");
+		expect(fs.existsSync(registryPath)).toBe(true);
+
+		registry.release("instance-a");
+		expect(fs.existsSync(registryPath)).toBe(false);
+	});
+});
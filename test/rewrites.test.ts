@@ -0,0 +1,222 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach, vi } from "vitest";
+import { withDevToolsJSON, cleanupDevToolsServer } from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+type Rewrite = { source: string; destination: string };
+
+useTempProject();
+
+describe("#DevToolsRewrites", () => {
+	const originalEnv = process.env.NODE_ENV;
+	let blocker: http.Server;
+
+	beforeEach(async () => {
+		process.env.NODE_ENV = "development";
+
+		// Occupy the configured port so the plugin has to move to the next one
+		blocker = http.createServer((_req, res) => res.end("other app"));
+		await new Promise<void>((resolve) => {
+			blocker.listen(3101, "localhost", () => resolve());
+		});
+	});
+
+	afterEach(async () => {
+		process.env.NODE_ENV = originalEnv;
+		await cleanupDevToolsServer();
+		await new Promise((resolve) => blocker.close(resolve));
+	});
+
+	it("should point rewrites at the port the server actually bound", async () => {
+		const config = withDevToolsJSON({}, { port: 3101 });
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+
+		expect(rewrites[0].destination).toBe(
+			"http://localhost:3102/__devtools_json",
+		);
+
+		const response = await fetch(rewrites[0].destination);
+		const devtoolsJson = await response.json();
+		expect(devtoolsJson.workspace).toHaveProperty("uuid");
+	});
+
+	it("should skip devtools rewrites when the server fails to start", async () => {
+		const existingRewrites = [{ source: "/custom", destination: "/page" }];
+		const config = withDevToolsJSON(
+			{ rewrites: async () => existingRewrites },
+			{ port: 3101, maxPortAttempts: 1 },
+		);
+
+		const rewrites = await config.rewrites?.();
+
+		expect(rewrites).toEqual(existingRewrites);
+	});
+
+	it("should use the OS-assigned port when port is 0", async () => {
+		const config = withDevToolsJSON({}, { port: 0 });
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+		const port = Number(new URL(rewrites[0].destination).port);
+
+		expect(port).toBeGreaterThan(0);
+		const response = await fetch(rewrites[0].destination);
+		expect(response.status).toBe(200);
+	});
+
+	it("should serve through a Unix socket in socketPath mode", async () => {
+		const config = withDevToolsJSON(
+			{},
+			{ socketPath: "devtools-json-test.sock" },
+		);
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+
+		const response = await fetch(rewrites[0].destination);
+		const devtoolsJson = await response.json();
+		expect(devtoolsJson.workspace).toHaveProperty("root");
+
+		const socketResponse = await new Promise<number | undefined>(
+			(resolve, reject) => {
+				http
+					.get(
+						{
+							socketPath: path.resolve(
+								".next",
+								"cache",
+								"devtools-json-test.sock",
+							),
+							path: "/__devtools_json",
+						},
+						(res) => {
+							res.resume();
+							resolve(res.statusCode);
+						},
+					)
+					.on("error", reject);
+			},
+		);
+		expect(socketResponse).toBe(200);
+	});
+
+	it("should pass the shared token through the rewrite destination", async () => {
+		const config = withDevToolsJSON({}, { port: 0, token: "secret" });
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+		const destination = new URL(rewrites[0].destination);
+
+		expect(destination.searchParams.get("__devtools_token")).toBe("secret");
+		expect((await fetch(destination)).status).toBe(200);
+
+		destination.search = "";
+		expect((await fetch(destination)).status).toBe(401);
+	});
+
+	it("should not drop the token check when the shared token is unreadable", async () => {
+		const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+		const tokenPath = path.join(
+			process.cwd(),
+			".next",
+			"cache",
+			"devtools-json-token",
+		);
+		await fs.promises.mkdir(path.dirname(tokenPath), { recursive: true });
+		await fs.promises.writeFile(tokenPath, "");
+
+		try {
+			const config = withDevToolsJSON({}, { port: 0, token: true });
+
+			expect(config.rewrites).toBeUndefined();
+			expect(errors).toHaveBeenCalledWith(
+				expect.stringContaining("Shared token unavailable"),
+			);
+		} finally {
+			await fs.promises.rm(tokenPath);
+			errors.mockRestore();
+		}
+	});
+
+	it("should route every configured endpoint on the server", async () => {
+		const config = withDevToolsJSON(
+			{},
+			{
+				port: 0,
+				endpoints: [
+					"/.well-known/appspecific/com.chrome.devtools.json",
+					"/internal/devtools.json",
+				],
+			},
+		);
+		const rewrites = (await config.rewrites?.()) as Rewrite[];
+
+		expect(rewrites.map((rewrite) => rewrite.source)).toEqual([
+			"/.well-known/appspecific/com.chrome.devtools.json",
+			"/internal/devtools.json",
+		]);
+		for (const rewrite of rewrites) {
+			expect(new URL(rewrite.destination).pathname).toBe(rewrite.source);
+			expect((await fetch(rewrite.destination)).status).toBe(200);
+		}
+
+		const alias = new URL("/__devtools_json", rewrites[0].destination);
+		expect((await fetch(alias)).status).toBe(404);
+	});
+
+	it("should leave the config unchanged for invalid endpoints", () => {
+		const nextConfig = { reactStrictMode: true };
+		const errors = vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const config = withDevToolsJSON(nextConfig, {
+			port: 0,
+			endpoints: ["/devtools/:slug"],
+		});
+
+		expect(config).toBe(nextConfig);
+		expect(errors).toHaveBeenCalled();
+		errors.mockRestore();
+	});
+
+	describe("#rootMatching", () => {
+		async function rewritesFor(nextConfig: object) {
+			const config = withDevToolsJSON(nextConfig, { port: 0 });
+			return (await config.rewrites?.()) as Rewrite[];
+		}
+
+		it("should not add matching flags for plain configs", async () => {
+			const rewrites = await rewritesFor({});
+
+			for (const rewrite of rewrites) {
+				expect(rewrite).not.toHaveProperty("basePath");
+				expect(rewrite).not.toHaveProperty("locale");
+			}
+		});
+
+		it("should opt out of the basePath prefix", async () => {
+			const rewrites = await rewritesFor({ basePath: "/portal" });
+
+			expect(rewrites[1]).toMatchObject({
+				source: "/.well-known/appspecific/com.chrome.devtools.json",
+				basePath: false,
+			});
+			expect(rewrites[1]).not.toHaveProperty("locale");
+		});
+
+		it("should opt out of i18n locale prefixes", async () => {
+			const rewrites = await rewritesFor({
+				i18n: { locales: ["en", "fr"], defaultLocale: "en" },
+			});
+
+			expect(rewrites[1]).toMatchObject({ locale: false });
+			expect(rewrites[1]).not.toHaveProperty("basePath");
+		});
+
+		it("should combine basePath and i18n opt-outs", async () => {
+			const rewrites = await rewritesFor({
+				basePath: "/portal",
+				i18n: { locales: ["en", "fr"], defaultLocale: "en" },
+			});
+
+			for (const rewrite of rewrites) {
+				expect(rewrite).toMatchObject({ basePath: false, locale: false });
+			}
+		});
+	});
+});
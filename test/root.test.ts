@@ -0,0 +1,98 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import { detectWorkspaceRoot, resolveWorkspaceRoot } from "../src/root";
+
+describe("#WorkspaceRoot", () => {
+	let testDir: string;
+	let appDir: string;
+
+	beforeEach(async () => {
+		testDir = await fs.promises.mkdtemp(
+			path.join(os.tmpdir(), "test-devtools-root-"),
+		);
+		appDir = path.join(testDir, "apps", "web");
+		await fs.promises.mkdir(appDir, { recursive: true });
+		await fs.promises.writeFile(
+			path.join(appDir, "package.json"),
+			JSON.stringify({ name: "@monorepo/web" }),
+		);
+	});
+
+	afterEach(async () => {
+		await fs.promises.rm(testDir, { recursive: true, force: true });
+	});
+
+	describe("#detectWorkspaceRoot", () => {
+		it("should detect pnpm workspaces", async () => {
+			await fs.promises.writeFile(
+				path.join(testDir, "pnpm-workspace.yaml"),
+				"packages:\n  - apps/*\n",
+			);
+
+			expect(detectWorkspaceRoot(appDir)).toEqual({
+				path: testDir,
+				strategy: "pnpm-workspace",
+			});
+		});
+
+		it("should detect package.json workspaces", async () => {
+			await fs.promises.writeFile(
+				path.join(testDir, "package.json"),
+				JSON.stringify({ name: "monorepo", workspaces: ["apps/*"] }),
+			);
+
+			expect(detectWorkspaceRoot(appDir)).toEqual({
+				path: testDir,
+				strategy: "package-workspaces",
+			});
+		});
+
+		it("should detect turbo.json and nx.json", async () => {
+			await fs.promises.writeFile(path.join(testDir, "turbo.json"), "{}");
+			expect(detectWorkspaceRoot(appDir).strategy).toBe("turbo");
+
+			await fs.promises.rm(path.join(testDir, "turbo.json"));
+			await fs.promises.writeFile(path.join(testDir, "nx.json"), "{}");
+			expect(detectWorkspaceRoot(appDir).strategy).toBe("nx");
+		});
+
+		it("should stop at the nearest marker", async () => {
+			await fs.promises.writeFile(path.join(testDir, "turbo.json"), "{}");
+			await fs.promises.mkdir(path.join(appDir, ".git"));
+
+			expect(detectWorkspaceRoot(appDir)).toEqual({
+				path: appDir,
+				strategy: "git",
+			});
+		});
+	});
+
+	describe("#resolveWorkspaceRoot", () => {
+		it("should resolve explicit paths against the working directory", () => {
+			expect(resolveWorkspaceRoot("../..", appDir)).toEqual({
+				path: testDir,
+				strategy: "option",
+			});
+		});
+
+		it("should call resolver functions with the working directory", () => {
+			const resolved = resolveWorkspaceRoot(
+				(cwd) => path.join(cwd, ".."),
+				appDir,
+			);
+
+			expect(resolved).toEqual({
+				path: path.join(testDir, "apps"),
+				strategy: "resolver",
+			});
+		});
+
+		it("should reject resolvers that return an empty path", () => {
+			expect(() => resolveWorkspaceRoot(() => "", appDir)).toThrow(
+				"Root resolver must return a non-empty path",
+			);
+		});
+	});
+});
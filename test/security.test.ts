@@ -0,0 +1,180 @@
+import fs from "node:fs";
+import type http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import {
+	checkRequest,
+	connectHost,
+	defaultAllowedHosts,
+	defaultAllowedOrigins,
+	getOrCreateSharedToken,
+	nextAppOrigin,
+	type SecurityConfig,
+} from "../src/security";
+
+function createRequest(headers: http.IncomingHttpHeaders) {
+	return { headers } as http.IncomingMessage;
+}
+
+const requestUrl = new URL("http://localhost/__devtools_json");
+
+const config: SecurityConfig = {
+	allowedHosts: defaultAllowedHosts("0.0.0.0"),
+	allowedOrigins: ["http://localhost:3000"],
+};
+
+describe("#Security", () => {
+	describe("#checkRequest", () => {
+		it("should accept loopback Host headers with any port", () => {
+			for (const host of ["localhost:3001", "127.0.0.1:3001", "[::1]:3001"]) {
+				expect(
+					checkRequest(createRequest({ host }), requestUrl, config),
+				).toEqual({ allowed: true });
+			}
+		});
+
+		it("should reject rebound Host headers", () => {
+			const result = checkRequest(
+				createRequest({ host: "attacker.example:3001" }),
+				requestUrl,
+				config,
+			);
+
+			expect(result).toMatchObject({ allowed: false, status: 403 });
+		});
+
+		it("should only echo allowed origins", () => {
+			expect(
+				checkRequest(
+					createRequest({
+						host: "localhost:3001",
+						origin: "http://localhost:3000",
+					}),
+					requestUrl,
+					config,
+				),
+			).toEqual({ allowed: true, corsOrigin: "http://localhost:3000" });
+
+			expect(
+				checkRequest(
+					createRequest({
+						host: "localhost:3001",
+						origin: "https://attacker.example",
+					}),
+					requestUrl,
+					config,
+				),
+			).toMatchObject({ allowed: false, status: 403 });
+		});
+
+		it("should require the shared token from the header or query", () => {
+			const withToken = { ...config, token: "secret" };
+
+			expect(
+				checkRequest(
+					createRequest({ host: "localhost" }),
+					requestUrl,
+					withToken,
+				),
+			).toMatchObject({ allowed: false, status: 401 });
+			expect(
+				checkRequest(
+					createRequest({
+						host: "localhost",
+						"x-devtools-json-token": "secret",
+					}),
+					requestUrl,
+					withToken,
+				),
+			).toEqual({ allowed: true });
+			expect(
+				checkRequest(
+					createRequest({ host: "localhost" }),
+					new URL("http://localhost/__devtools_json?__devtools_token=secret"),
+					withToken,
+				),
+			).toEqual({ allowed: true });
+		});
+	});
+
+	describe("#nextAppOrigin", () => {
+		it("should prefer the origin Next.js publishes over PORT", () => {
+			expect(
+				nextAppOrigin({
+					__NEXT_PRIVATE_ORIGIN: "https://localhost:3456",
+					PORT: "3456",
+				}),
+			).toBe("https://localhost:3456");
+			expect(nextAppOrigin({ PORT: "3456" })).toBe("http://localhost:3456");
+		});
+
+		it("should not guess an origin when neither is set", () => {
+			expect(nextAppOrigin({})).toBeNull();
+		});
+	});
+
+	describe("#defaultAllowedOrigins", () => {
+		it("should allow the app origin and its 127.0.0.1 twin", () => {
+			expect(
+				defaultAllowedOrigins({
+					__NEXT_PRIVATE_ORIGIN: "http://localhost:3456",
+				}),
+			).toEqual(["http://localhost:3456", "http://127.0.0.1:3456"]);
+			expect(
+				defaultAllowedOrigins({ __NEXT_PRIVATE_ORIGIN: "http://[::1]:3456" }),
+			).toEqual(["http://[::1]:3456"]);
+		});
+
+		it("should allow no origin when the app origin is unknown", () => {
+			expect(defaultAllowedOrigins({})).toEqual([]);
+		});
+	});
+
+	describe("#getOrCreateSharedToken", () => {
+		let projectRoot: string;
+		const tokenPath = () =>
+			path.join(projectRoot, ".next", "cache", "devtools-json-token");
+
+		beforeEach(async () => {
+			projectRoot = await fs.promises.mkdtemp(
+				path.join(os.tmpdir(), "test-devtools-token-"),
+			);
+		});
+
+		afterEach(async () => {
+			await fs.promises.rm(projectRoot, { recursive: true, force: true });
+		});
+
+		it("should create one token and return it on every call", async () => {
+			const token = getOrCreateSharedToken(projectRoot).unwrap();
+
+			expect(token).toMatch(/^[0-9a-f]{48}$/);
+			expect(getOrCreateSharedToken(projectRoot).unwrap()).toBe(token);
+			expect(await fs.promises.readFile(tokenPath(), "utf-8")).toBe(token);
+			expect(
+				(await fs.promises.readdir(path.dirname(tokenPath()))).length,
+			).toBe(1);
+		});
+
+		it("should fail instead of returning an empty token", async () => {
+			await fs.promises.mkdir(path.dirname(tokenPath()), { recursive: true });
+			await fs.promises.writeFile(tokenPath(), "");
+
+			expect(getOrCreateSharedToken(projectRoot).unwrapErr()).toMatchObject({
+				_tag: "FileSystemError",
+				operation: "read",
+				path: tokenPath(),
+			});
+		});
+	});
+
+	describe("#connectHost", () => {
+		it("should connect to localhost for wildcard bind hosts", () => {
+			expect(connectHost("0.0.0.0")).toBe("localhost");
+			expect(connectHost("::")).toBe("localhost");
+			expect(connectHost("::1")).toBe("[::1]");
+			expect(connectHost("192.168.1.10")).toBe("192.168.1.10");
+		});
+	});
+});
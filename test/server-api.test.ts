@@ -0,0 +1,182 @@
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { describe, expect, it, afterEach, vi } from "vitest";
+import {
+	startDevToolsServer,
+	getDevToolsServerInfo,
+	cleanupDevToolsServer,
+	type DevToolsJSONOptions,
+} from "../src/index.ts";
+import { useTempProject } from "./temp-project";
+
+useTempProject();
+
+describe("#ServerAPI", () => {
+	afterEach(async () => {
+		await cleanupDevToolsServer();
+		vi.restoreAllMocks();
+		vi.unstubAllEnvs();
+	});
+
+	describe("#startDevToolsServer", () => {
+		it("should return a handle describing the running server", async () => {
+			const result = await startDevToolsServer({ port: 0, token: "secret" });
+			const handle = result.unwrap();
+
+			expect(handle.port).toBeGreaterThan(0);
+			expect(handle.url).toBe(
+				`http://localhost:${handle.port}/__devtools_json?__devtools_token=secret`,
+			);
+
+			const response = await fetch(handle.url);
+			expect(await response.json()).toEqual({
+				workspace: { root: handle.root, uuid: handle.uuid },
+			});
+
+			expect((await handle.stop()).isOk()).toBe(true);
+			await expect(fetch(handle.url)).rejects.toThrow();
+		});
+
+		it("should return the error when the server cannot start", async () => {
+			const blocker = http.createServer();
+			await new Promise<void>((resolve) => {
+				blocker.listen(3121, "localhost", () => resolve());
+			});
+
+			try {
+				const result = await startDevToolsServer({
+					port: 3121,
+					maxPortAttempts: 1,
+				});
+
+				expect(result.unwrapErr()).toEqual({
+					_tag: "PortExhaustedError",
+					attempts: 1,
+					lastPort: 3121,
+				});
+			} finally {
+				await new Promise((resolve) => blocker.close(resolve));
+			}
+		});
+
+		describe("#staleRegistry", () => {
+			const registryPath = () =>
+				path.join(process.cwd(), ".next", "cache", "devtools-server.json");
+
+			// Entries written for another process outlive cleanupDevToolsServer
+			afterEach(() => fs.promises.rm(registryPath(), { force: true }));
+
+			// Registers a server owned by another process, under the key the
+			// options give with port 0
+			async function registerEntry(
+				entry: { pid: number; port: number },
+				options: DevToolsJSONOptions = {},
+			) {
+				const probe = (
+					await startDevToolsServer({ port: 0, ...options })
+				).unwrap();
+				const { configKey } = JSON.parse(
+					await fs.promises.readFile(registryPath(), "utf-8"),
+				);
+				await probe.stop();
+
+				await fs.promises.writeFile(
+					registryPath(),
+					JSON.stringify({
+						...entry,
+						instanceId: "stale",
+						configKey,
+						startedAt: new Date(0).toISOString(),
+						workspace: { uuid: "stale", root: "/stale" },
+					}),
+				);
+			}
+
+			it("should not reuse an entry left by an earlier process with this pid", async () => {
+				await registerEntry({ pid: process.pid, port: 3999 });
+
+				const handle = (await startDevToolsServer({ port: 0 })).unwrap();
+
+				expect(handle.port).not.toBe(3999);
+				expect(handle.root).not.toBe("/stale");
+			});
+
+			it.each([
+				[
+					"uuid",
+					{ uuid: "11111111-1111-4111-8111-111111111111" },
+					{ uuid: "22222222-2222-4222-8222-222222222222" },
+				],
+				["root", { root: "/rootA" }, { root: "/rootB" }],
+			])(
+				"should not reuse a server started with another %s",
+				async (_field, ownerOptions, options) => {
+					const owner = http.createServer((_req, res) => res.end("{}"));
+					await new Promise<void>((resolve) => {
+						owner.listen(0, "localhost", () => resolve());
+					});
+					const ownerPort = (owner.address() as { port: number }).port;
+
+					try {
+						await registerEntry(
+							{ pid: process.ppid, port: ownerPort },
+							ownerOptions,
+						);
+
+						const handle = (
+							await startDevToolsServer({ port: 0, ...options })
+						).unwrap();
+
+						expect(handle.port).not.toBe(ownerPort);
+						expect(handle.root).not.toBe("/stale");
+					} finally {
+						await new Promise((resolve) => owner.close(resolve));
+					}
+				},
+			);
+
+			it("should reclaim an entry whose port does not answer", async () => {
+				await registerEntry({ pid: process.ppid, port: 3999 });
+
+				const handle = (await startDevToolsServer({ port: 0 })).unwrap();
+
+				expect(handle.port).not.toBe(3999);
+				expect(
+					JSON.parse(await fs.promises.readFile(registryPath(), "utf-8")),
+				).toMatchObject({ pid: process.pid, port: handle.port });
+			});
+		});
+
+		it("should reject invalid endpoints", async () => {
+			const result = await startDevToolsServer({ endpoints: ["/_next/x"] });
+
+			expect(result.unwrapErr()).toMatchObject({
+				_tag: "ConfigError",
+				field: "endpoints[0]",
+			});
+		});
+	});
+
+	describe("#getDevToolsServerInfo", () => {
+		it("should describe the server while it runs", async () => {
+			expect(await getDevToolsServerInfo()).toBeNull();
+			// As in the `next dev -p 3456` CLI process, which knows no port
+			vi.stubEnv("__NEXT_PRIVATE_ORIGIN", "");
+			vi.stubEnv("PORT", "");
+
+			const handle = (await startDevToolsServer({ port: 0 })).unwrap();
+			const info = await getDevToolsServerInfo();
+
+			expect(info).toMatchObject({
+				port: handle.port,
+				uuid: handle.uuid,
+				root: handle.root,
+			});
+			expect(info?.urls).toContain("/__devtools_json");
+
+			await handle.stop();
+			expect(await getDevToolsServerInfo()).toBeNull();
+		});
+	});
+});
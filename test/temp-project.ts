@@ -0,0 +1,32 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { beforeAll, afterAll } from "vitest";
+
+/**
+ * Runs the tests of the calling file in a fresh project directory, so the
+ * servers they start write their registry, UUID and token files to a temp
+ * dir instead of the repository's .next/cache. Changing directory needs the
+ * forks pool set in vitest.config.js: worker threads cannot chdir.
+ * @returns Getter for the project directory, set once the tests start
+ */
+function useTempProject(): () => string {
+	const originalCwd = process.cwd();
+	let projectDir = "";
+
+	beforeAll(async () => {
+		projectDir = await fs.promises.realpath(
+			await fs.promises.mkdtemp(path.join(os.tmpdir(), "test-devtools-app-")),
+		);
+		process.chdir(projectDir);
+	});
+
+	afterAll(async () => {
+		process.chdir(originalCwd);
+		await fs.promises.rm(projectDir, { recursive: true, force: true });
+	});
+
+	return () => projectDir;
+}
+
+export { useTempProject };
@@ -1,7 +1,12 @@
 import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
-import { describe, expect, it, beforeEach, afterEach } from "vitest";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { describe, expect, it, beforeEach, afterEach, vi } from "vitest";
+import { UUIDManager, createNameBasedUUID } from "../src/uuid";
+
+const execFileAsync = promisify(execFile);
 
 /**
  * Validates if a string is a valid UUID v4
@@ -147,4 +152,193 @@ describe("#UUIDUtils", () => {
 			expect(newCachedContent.trim()).toBe(result);
 		});
 	});
-});
\ No newline at end of file
+
+	describe("#deterministicUUID", () => {
+		it("should derive a version 5 UUID from the workspace root", () => {
+			// Matches Python's uuid.uuid5 for the plugin namespace
+			expect(createNameBasedUUID("/workspace/app")).toBe(
+				"8e5375b1-73ef-5c6f-bef3-599e7e4d1f5b",
+			);
+		});
+
+		it("should be stable across calls and vary with the salt", () => {
+			const manager = new UUIDManager(fs, path, crypto);
+
+			const first = manager.deriveFromRoot("/workspace/app").unwrap();
+			const second = manager.deriveFromRoot("/workspace/app").unwrap();
+			const salted = manager.deriveFromRoot("/workspace/app", "team").unwrap();
+
+			expect(first).toBe(second);
+			expect(salted).not.toBe(first);
+			expect(fs.existsSync(testCacheDir)).toBe(false);
+		});
+
+		it("should accept version 5 UUIDs as provided UUIDs", () => {
+			const manager = new UUIDManager(fs, path, crypto);
+			const uuid = createNameBasedUUID("/workspace/app");
+
+			expect(manager.getOrCreate(testProjectRoot, uuid).unwrap()).toBe(uuid);
+		});
+	});
+
+	describe("#uuidStorage", () => {
+		const manager = new UUIDManager(fs, path, crypto);
+		const projectUuidPath = path.resolve(testProjectRoot, ".devtools", "uuid");
+
+		it("should persist to .devtools/uuid with project storage", () => {
+			const uuid = manager
+				.getOrCreate(testProjectRoot, undefined, { storage: "project" })
+				.unwrap();
+
+			expect(fs.readFileSync(projectUuidPath, "utf-8")).toBe(uuid);
+			expect(fs.existsSync(testUuidPath)).toBe(false);
+		});
+
+		it("should migrate an existing .next UUID when switching backends", () => {
+			const cachedUuid = manager.getOrCreate(testProjectRoot).unwrap();
+
+			const uuid = manager
+				.getOrCreate(testProjectRoot, undefined, { storage: "project" })
+				.unwrap();
+
+			expect(uuid).toBe(cachedUuid);
+			expect(fs.readFileSync(projectUuidPath, "utf-8")).toBe(cachedUuid);
+		});
+
+		it("should key the user registry by the real workspace root", () => {
+			const configHome = path.resolve(testProjectRoot, "config-home");
+			const linkedRoot = path.resolve(testProjectRoot, "linked");
+			fs.mkdirSync(testProjectRoot, { recursive: true });
+			fs.symlinkSync(testProjectRoot, linkedRoot);
+			const options = {
+				storage: "user" as const,
+				env: { XDG_CONFIG_HOME: configHome },
+			};
+
+			const uuid = manager
+				.getOrCreate(testProjectRoot, undefined, {
+					...options,
+					workspaceRoot: testProjectRoot,
+				})
+				.unwrap();
+			const viaLink = manager
+				.getOrCreate(linkedRoot, undefined, {
+					...options,
+					workspaceRoot: linkedRoot,
+				})
+				.unwrap();
+
+			expect(viaLink).toBe(uuid);
+			expect(
+				fs.readdirSync(
+					path.join(configHome, "next-plugin-devtools-json", "workspaces"),
+				),
+			).toHaveLength(1);
+		});
+	});
+
+	describe("#uuidRecord", () => {
+		const manager = new UUIDManager(fs, path, crypto);
+		const packageJson = JSON.parse(
+			fs.readFileSync(path.resolve(process.cwd(), "package.json"), "utf-8"),
+		);
+
+		it("should write a versioned JSON record", () => {
+			const uuid = manager.getOrCreate(testProjectRoot).unwrap();
+			const record = JSON.parse(fs.readFileSync(testUuidPath, "utf-8"));
+
+			expect(record).toEqual({
+				version: 1,
+				uuid,
+				root: testProjectRoot,
+				createdAt: expect.any(String),
+				pluginVersion: packageJson.version,
+			});
+		});
+
+		it("should upgrade a legacy plain-text file in place", async () => {
+			const legacyUuid = crypto.randomUUID();
+			await fs.promises.mkdir(testCacheDir, { recursive: true });
+			await fs.promises.writeFile(testUuidPath, `${legacyUuid}\n`);
+
+			expect(manager.getOrCreate(testProjectRoot).unwrap()).toBe(legacyUuid);
+
+			const record = JSON.parse(fs.readFileSync(testUuidPath, "utf-8"));
+			expect(record).toMatchObject({ uuid: legacyUuid, root: testProjectRoot });
+		});
+
+		it("should regenerate a UUID recorded for a different root", () => {
+			const originalUuid = manager
+				.getOrCreate(testProjectRoot, undefined, {
+					workspaceRoot: "/original/checkout",
+				})
+				.unwrap();
+			const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+			const uuid = manager.getOrCreate(testProjectRoot).unwrap();
+
+			expect(uuid).not.toBe(originalUuid);
+			expect(warn).toHaveBeenCalledWith(
+				expect.stringContaining("/original/checkout"),
+			);
+			warn.mockRestore();
+		});
+	});
+
+	describe("#concurrentCreation", () => {
+		it("should return the winner's UUID when another process creates it first", () => {
+			const otherProcess = new UUIDManager(fs, path, crypto);
+			let otherUuid: string | undefined;
+
+			// Let the "other process" create the file right before our link
+			const racingFs = {
+				...fs,
+				linkSync: (existingPath: fs.PathLike, newPath: fs.PathLike) => {
+					otherUuid ??= otherProcess.getOrCreate(testProjectRoot).unwrap();
+					return fs.linkSync(existingPath, newPath);
+				},
+			} as typeof fs;
+			const manager = new UUIDManager(racingFs, path, crypto);
+
+			const uuid = manager.getOrCreate(testProjectRoot).unwrap();
+
+			expect(uuid).toBe(otherUuid);
+			expect(JSON.parse(fs.readFileSync(testUuidPath, "utf-8")).uuid).toBe(
+				uuid,
+			);
+			expect(
+				fs.readdirSync(testCacheDir).filter((file) => file.endsWith(".tmp")),
+			).toEqual([]);
+		});
+
+		it("should produce a single UUID across concurrent processes", async () => {
+			await fs.promises.mkdir(testProjectRoot, { recursive: true });
+			const scriptPath = path.join(testProjectRoot, "create-uuid.ts");
+			await fs.promises.writeFile(
+				scriptPath,
+				`import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { UUIDManager } from ${JSON.stringify(path.resolve("src/uuid.ts"))};
+
+const manager = new UUIDManager(fs, path, crypto);
+console.log(manager.getOrCreate(${JSON.stringify(testProjectRoot)}).unwrap());
+`,
+			);
+
+			const viteNode = path.resolve("node_modules", ".bin", "vite-node");
+			const results = await Promise.all(
+				Array.from({ length: 4 }, () =>
+					execFileAsync(viteNode, [scriptPath], { cwd: process.cwd() }),
+				),
+			);
+			const uuids = new Set(results.map(({ stdout }) => stdout.trim()));
+
+			expect(uuids.size).toBe(1);
+			expect(isValidUUID([...uuids][0])).toBe(true);
+			expect(JSON.parse(fs.readFileSync(testUuidPath, "utf-8")).uuid).toBe(
+				[...uuids][0],
+			);
+		}, 60000);
+	});
+});
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+	formatConfigError,
+	omitInvalidOptions,
+	validateOptions,
+} from "../src/validate";
+
+describe("#OptionValidation", () => {
+	describe("#validateOptions", () => {
+		it("should accept valid options", () => {
+			expect(
+				validateOptions({
+					uuid: "6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b",
+					port: 0,
+					endpoints: ["/.well-known/appspecific/com.chrome.devtools.json"],
+					enabled: () => true,
+					pathMappings: { "/workspaces/app": "C:\\Users\\me\\app" },
+					allowedOrigins: "*",
+					strict: true,
+				}),
+			).toEqual([]);
+		});
+
+		it("should collect every invalid field with its path and value", () => {
+			const errors = validateOptions({
+				port: "3001",
+				endpoint: "devtools",
+				maxPortAttempts: -1,
+				uuid: "not-a-uuid",
+				allowedHosts: ["localhost", ""],
+			});
+
+			expect(errors.map((error) => [error.field, error.received])).toEqual([
+				["port", "3001"],
+				["endpoint", "devtools"],
+				["maxPortAttempts", -1],
+				["uuid", "not-a-uuid"],
+				["allowedHosts[1]", ""],
+			]);
+			expect(errors[0].hint).toBe("Pass a number instead of a string: 3001");
+			expect(errors[1].hint).toBe('Add a leading slash: "/devtools"');
+		});
+
+		it("should only accept version 4 and 5 UUIDs, like the UUID manager", () => {
+			const [error] = validateOptions({
+				uuid: "6ec0bd7f-11c0-11ef-975e-2a8ad9ebae0b",
+			});
+
+			expect(error).toMatchObject({ field: "uuid" });
+			expect(
+				validateOptions({ uuid: "6ec0bd7f-11c0-53da-975e-2a8ad9ebae0b" }),
+			).toEqual([]);
+		});
+
+		it("should suggest the closest option for unknown keys", () => {
+			const [typo, unrelated] = validateOptions({ prot: 3001, colour: "red" });
+
+			expect(typo).toMatchObject({
+				field: "prot",
+				message: "Unknown option",
+				hint: 'Did you mean "port"?',
+			});
+			expect(unrelated.hint).toBe("Remove it");
+		});
+
+		it("should suggest the closest value for enum options", () => {
+			const [error] = validateOptions({ uuidStorage: "projcet" });
+
+			expect(error.hint).toBe('Did you mean "project"?');
+		});
+	});
+
+	describe("#omitInvalidOptions", () => {
+		it("should drop invalid top-level keys so defaults apply", () => {
+			const options = {
+				port: 3002,
+				endpoints: ["/ok", "bad"],
+				uuidStrategy: "sometimes",
+			} as const;
+
+			expect(
+				omitInvalidOptions(options as never, validateOptions(options)),
+			).toEqual({ port: 3002 });
+		});
+	});
+
+	describe("#formatConfigError", () => {
+		it("should include the field, received value and hint", () => {
+			const [error] = validateOptions({ port: "3001" });
+
+			expect(formatConfigError(error)).toBe(
+				'port: Expected an integer between 0 and 65535 (received "3001"). Pass a number instead of a string: 3001',
+			);
+		});
+	});
+});
@@ -5,10 +5,18 @@ export default defineConfig({
     environment: 'node',
     globals: true,
     testTimeout: 60000, // Increased to 60 seconds for integration tests
+    // Child processes rather than worker threads, so tests can process.chdir()
+    // into a temp project (see test/temp-project.ts)
+    pool: 'forks',
     // Exclude patterns for files we don't want to test
     exclude: [
       '**/node_modules/**',
       '**/dist/**'
     ],
+    // Type-level tests (*.test-d.ts) are checked with tsc, not run
+    typecheck: {
+      enabled: true,
+      tsconfig: './test/tsconfig.json',
+    },
   },
 });